@@ -0,0 +1,242 @@
+/**
+ * Aesthetic Layout Engine
+ * Arranges a shelf for looks (spine colour, height skyline, alternating blocks) rather than space
+ */
+
+import ShelfLayoutPlanner from './shelf-layout-planner.js';
+
+class AestheticLayoutEngine {
+    constructor(layoutPlanner = new ShelfLayoutPlanner()) {
+        this.layoutPlanner = layoutPlanner;
+
+        this.MODES = ['rainbow', 'skyline', 'alternating'];
+
+        this.config = {
+            minSaturation: 0.2,     // Below this a spine counts as black/white/grey
+            uprightBlockSize: 4,    // Alternating mode: books per upright block
+            stackBlockSize: 3       // Alternating mode: books per flat stack
+        };
+    }
+
+    /**
+     * Arrange a shelf in the given mode; returns a layout in the ShelfLayoutPlanner format
+     */
+    arrange(books, shelf, mode, constraints = null) {
+        if (!this.MODES.includes(mode)) {
+            throw new Error(`Unknown aesthetic mode: ${mode}`);
+        }
+
+        const shelfX = shelf.x || 0;
+        const bottomY = shelf.bottomY !== undefined ? shelf.bottomY : shelf.height;
+        const clearHeight = shelf.height - this.layoutPlanner.config.minClearance;
+        const metrics = books.map(book => this.layoutPlanner.getBookMetrics(book));
+        this.layoutPlanner.markTooDeep(metrics, shelf);
+        const currentWidth = this.layoutPlanner.measureCurrentWidth(books);
+
+        // Pinned books keep their place in the row; everything else is free to reorder
+        const pinned = constraints ? metrics.filter(m => constraints.isPinned(m.id)) : [];
+        const free = metrics.filter(m => !pinned.includes(m));
+        pinned.forEach(m => { m.pinned = true; });
+
+        // A series moves as one unit, so no ordering can split it
+        const units = this.buildUnits(free, constraints);
+        const expand = ordered => ordered.flatMap(unit => unit.members);
+
+        let slots;
+        if (mode === 'rainbow') {
+            slots = this.toUprightSlots(this.withPinned(expand(this.orderByColor(units)), pinned, metrics));
+        } else if (mode === 'skyline') {
+            slots = this.toUprightSlots(this.withPinned(expand(this.orderBySkyline(units)), pinned, metrics));
+        } else {
+            slots = this.insertPinnedSlots(this.buildAlternatingSlots(units, clearHeight), pinned, metrics);
+        }
+
+        const placements = this.layoutPlanner.positionSlots(slots, shelfX, bottomY);
+        const usedWidth = slots.reduce((sum, slot) => sum + slot.width, 0);
+
+        return {
+            mode,
+            shelfIndex: shelf.shelfIndex || 0,
+            shelf: { x: shelfX, bottomY, width: shelf.width, height: shelf.height, depth: shelf.depth },
+            slots,
+            placements,
+            colors: Object.fromEntries(metrics.map(m => [m.id, m.book.dominantColor ? m.book.dominantColor.hex : null])),
+            currentWidth,
+            usedWidth,
+            freedWidth: currentWidth - usedWidth,
+            freedPercent: shelf.width > 0 ? Math.round(((currentWidth - usedWidth) / shelf.width) * 100) : 0,
+            fits: usedWidth <= shelf.width,
+            overflow: Math.max(0, usedWidth - shelf.width),
+            counts: {
+                upright: placements.filter(p => p.orientation === 'upright').length,
+                stacked: placements.filter(p => p.orientation === 'flat').length,
+                faceOut: 0,
+                stacks: slots.filter(slot => slot.type === 'stack').length
+            }
+        };
+    }
+
+    /**
+     * One unit per free book, except that each series group becomes a single unit in its required order.
+     * A unit sorts by its first book's colour and its tallest book's height.
+     */
+    buildUnits(free, constraints) {
+        const units = [];
+        const grouped = new Set();
+
+        [...free].sort((a, b) => a.x - b.x).forEach(m => {
+            if (grouped.has(m)) return;
+
+            const group = constraints ? constraints.getGroupFor(m.id) : null;
+            if (!group) {
+                units.push({ ...m, members: [m] });
+                return;
+            }
+
+            const members = free
+                .filter(other => group.bookIds.includes(other.id))
+                .sort((a, b) => group.ordered ? group.bookIds.indexOf(a.id) - group.bookIds.indexOf(b.id) : a.x - b.x);
+            members.forEach(member => grouped.add(member));
+            units.push({
+                ...members[0],
+                height: Math.max(...members.map(member => member.height)),
+                spine: members.reduce((sum, member) => sum + member.spine, 0),
+                members
+            });
+        });
+
+        return units;
+    }
+
+    /**
+     * Colour wheel order for saturated spines, then neutrals from dark to light
+     */
+    orderByColor(metrics) {
+        const colorOf = m => m.book.dominantColor;
+        const isNeutral = m => !colorOf(m) || colorOf(m).saturation < this.config.minSaturation;
+
+        const chromatic = metrics.filter(m => !isNeutral(m))
+            .sort((a, b) => colorOf(a).hue - colorOf(b).hue || colorOf(a).lightness - colorOf(b).lightness);
+        const neutral = metrics.filter(isNeutral)
+            .sort((a, b) => (colorOf(a) ? colorOf(a).lightness : 0.5) - (colorOf(b) ? colorOf(b).lightness : 0.5));
+
+        return [...chromatic, ...neutral];
+    }
+
+    /**
+     * Tallest book in the middle, heights falling away smoothly to both ends
+     */
+    orderBySkyline(metrics) {
+        const byHeight = [...metrics].sort((a, b) => b.height - a.height);
+        const left = [];
+        const right = [];
+
+        byHeight.forEach((m, i) => {
+            if (i % 2 === 0) right.push(m);
+            else left.unshift(m);
+        });
+
+        return [...left, ...right];
+    }
+
+    /**
+     * Put pinned books back at their original index in the row
+     */
+    withPinned(ordered, pinned, allMetrics) {
+        const byPosition = [...allMetrics].sort((a, b) => a.x - b.x);
+        const row = [...ordered];
+
+        pinned
+            .map(m => ({ m, index: byPosition.indexOf(m) }))
+            .sort((a, b) => a.index - b.index)
+            .forEach(({ m, index }) => row.splice(Math.min(index, row.length), 0, m));
+
+        return row;
+    }
+
+    toUprightSlots(row) {
+        return row.map(m => ({ type: 'upright', books: [m], width: m.spine, height: m.height, pinned: Boolean(m.pinned) }));
+    }
+
+    /**
+     * Upright blocks and flat stacks taking turns, each built from similar-height books.
+     * Series units always stand upright, whole, inside a block.
+     */
+    buildAlternatingSlots(units, clearHeight) {
+        const queue = [...units].sort((a, b) => b.height - a.height);
+        const slots = [];
+        let upright = true;
+
+        while (queue.length > 0) {
+            if (upright) {
+                const block = [];
+                while (queue.length > 0 && block.length < this.config.uprightBlockSize) {
+                    block.push(...queue.shift().members);
+                }
+                slots.push(...this.toUprightSlots(block));
+            } else {
+                // Stack only single books that fit under the shelf above and front to back; largest book at the bottom
+                const stack = [];
+                let thickness = 0;
+                let i = 0;
+                while (i < queue.length && stack.length < this.config.stackBlockSize) {
+                    if (queue[i].members.length > 1 || queue[i].tooDeep) {
+                        i++;
+                        continue;
+                    }
+                    if (thickness + queue[i].spine > clearHeight) break;
+                    const m = queue.splice(i, 1)[0].members[0];
+                    stack.push(m);
+                    thickness += m.spine;
+                }
+
+                if (stack.length > 0) {
+                    slots.push({ type: 'stack', books: stack, width: stack[0].height, height: thickness });
+                }
+            }
+            upright = !upright;
+        }
+
+        return slots;
+    }
+
+    /**
+     * Put pinned books back between slots, after as many books as stood before them originally
+     */
+    insertPinnedSlots(slots, pinned, allMetrics) {
+        const byPosition = [...allMetrics].sort((a, b) => a.x - b.x);
+        const result = [...slots];
+
+        pinned
+            .map(m => ({ m, index: byPosition.indexOf(m) }))
+            .sort((a, b) => a.index - b.index)
+            .forEach(({ m, index }) => {
+                let booksBefore = 0;
+                let slotIndex = 0;
+                while (slotIndex < result.length && booksBefore + result[slotIndex].books.length <= index) {
+                    booksBefore += result[slotIndex].books.length;
+                    slotIndex++;
+                }
+                result.splice(slotIndex, 0, ...this.toUprightSlots([m]));
+            });
+
+        return result;
+    }
+
+    /**
+     * Coloured rectangles for drawing the arrangement as an AR preview
+     */
+    buildPreview(layout) {
+        return layout.placements.map(placement => ({
+            bookId: placement.bookId,
+            x: placement.x,
+            y: placement.y,
+            width: placement.width,
+            height: placement.height,
+            orientation: placement.orientation,
+            color: layout.colors[placement.bookId] || '#9ca3af'
+        }));
+    }
+}
+
+export default AestheticLayoutEngine;
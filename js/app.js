@@ -3,18 +3,41 @@
  * Orchestrates the AR Bookshelf Optimizer
  */
 
-import BookDetectionController from './book-detection-controller.js';
+import DetectionPipeline from './detection-pipeline.js';
+import GuidedReorganization from './guided-reorganization.js';
+import OverlayInterpolator from './overlay-interpolator.js';
 
 class ARBookshelfOptimizer {
     constructor() {
-        this.detectionController = new BookDetectionController();
+        this.pipeline = new DetectionPipeline();
+        this.guide = new GuidedReorganization();
+        this.interpolator = new OverlayInterpolator();
         this.video = null;
         this.canvas = null;
         this.ctx = null;
         this.animationFrame = null;
+        this.renderFrame = null;
         this.isRunning = false;
         this.lastUpdateTime = 0;
         this.updateInterval = 300; // 300ms for smooth performance
+        this.styleModes = [null, 'rainbow', 'skyline', 'alternating'];
+        this.styleIndex = 0;
+        this.selectedPoint = null;  // Tapped spot (frame coordinates) marking the selected book
+        this.optionIndex = 0;       // Which ranked option is shown for the selected book
+        this.lastBooks = [];
+        this.lastDetectionType = 'None';
+        this.qualityMessage = null;     // Frame quality warning currently shown in the status
+        this.pinnedIds = new Set();
+        this.groupIds = new Set();      // Books in any series group
+        this.pendingGroup = null;       // Books tapped so far for a new group, in series order
+        this.sortModes = [null, { key: 'height', direction: 'asc' }, { key: 'height', direction: 'desc' }];
+        this.sortIndex = 0;
+        this.rectifyModes = ['off', 'auto', 'manual'];
+        this.rectifyIndex = 0;
+        this.rectifyPoints = null;      // Corner taps collected for manual rectification
+        this.rectification = null;      // Latest { mode, corners } from the controller
+        this.scanning = false;          // Sweeping across the case for a panorama scan
+        this.panorama = null;           // Finished scan on screen; its books are not in video coordinates
         
         this.init();
     }
@@ -42,12 +65,35 @@ class ARBookshelfOptimizer {
     setupEventListeners() {
         const stopBtn = document.getElementById('stopBtn');
         const switchBtn = document.getElementById('switchBtn');
+        const guideBtn = document.getElementById('guideBtn');
+        const styleBtn = document.getElementById('styleBtn');
+        const pinBtn = document.getElementById('pinBtn');
+        const groupBtn = document.getElementById('groupBtn');
+        const sortBtn = document.getElementById('sortBtn');
+        const rectifyBtn = document.getElementById('rectifyBtn');
+        const scanBtn = document.getElementById('scanBtn');
+        const calibrateBtn = document.getElementById('calibrateBtn');
         const infoBtn = document.getElementById('infoBtn');
 
         stopBtn.addEventListener('click', () => this.toggleDetection());
         switchBtn.addEventListener('click', () => this.switchCamera());
+        guideBtn.addEventListener('click', () => this.toggleGuidedMode());
+        styleBtn.addEventListener('click', () => this.cycleStyleMode());
+        pinBtn.addEventListener('click', () => this.togglePin());
+        groupBtn.addEventListener('click', () => this.toggleGroupMode());
+        sortBtn.addEventListener('click', () => this.cycleSortMode());
+        rectifyBtn.addEventListener('click', () => this.cycleRectifyMode());
+        scanBtn.addEventListener('click', () => this.toggleScan());
+        calibrateBtn.addEventListener('click', () => this.calibrateScale());
         infoBtn.addEventListener('click', () => this.showInfo());
 
+        document.getElementById('guideSkipBtn').addEventListener('click', () => this.updateGuidePanel(this.guide.skip()));
+        document.getElementById('guideUndoBtn').addEventListener('click', () => this.updateGuidePanel(this.guide.undo()));
+        document.getElementById('guideExitBtn').addEventListener('click', () => this.toggleGuidedMode());
+
+        // Tap a book to select it; tap it again to cycle through its options
+        this.video.parentElement.addEventListener('click', (event) => this.handleTap(event));
+
         // Handle window resize and orientation changes
         window.addEventListener('resize', () => this.handleOrientationChange());
         window.addEventListener('orientationchange', () => {
@@ -162,8 +208,11 @@ class ARBookshelfOptimizer {
 
     startDetection() {
         this.isRunning = true;
+        this.panorama = null;
+        this.qualityMessage = null;
         this.updateStatus('Live Analysis Active', 'active');
         this.detectionLoop();
+        this.renderLoop();
     }
 
     stopDetection() {
@@ -171,6 +220,9 @@ class ARBookshelfOptimizer {
         if (this.animationFrame) {
             cancelAnimationFrame(this.animationFrame);
         }
+        if (this.renderFrame) {
+            cancelAnimationFrame(this.renderFrame);
+        }
         this.updateStatus('Analysis Stopped', 'stopped');
     }
 
@@ -189,14 +241,29 @@ class ARBookshelfOptimizer {
 
         const now = Date.now();
         
+        // Detection runs at its own pace; frames arriving while it is busy are dropped
         if (now - this.lastUpdateTime >= this.updateInterval) {
-            await this.performDetection();
             this.lastUpdateTime = now;
+            this.performDetection();
         }
 
         this.animationFrame = requestAnimationFrame(() => this.detectionLoop());
     }
 
+    /**
+     * Redraw the overlay every display frame, predicting boxes between detection results
+     */
+    renderLoop() {
+        if (!this.isRunning) return;
+
+        const frame = this.interpolator.getFrame(performance.now());
+        if (frame) {
+            this.renderAR(frame.books, frame.suggestions, frame.preview);
+        }
+
+        this.renderFrame = requestAnimationFrame(() => this.renderLoop());
+    }
+
     async performDetection() {
         if (!this.video.videoWidth || !this.video.videoHeight) {
             console.log('⏳ Video not ready yet, skipping detection...');
@@ -204,21 +271,39 @@ class ARBookshelfOptimizer {
         }
 
         try {
-            console.log('🎥 Capturing frame for detection...');
-            // Capture current frame
-            const imageData = this.captureFrame();
-            console.log('📷 Frame captured:', imageData.width + 'x' + imageData.height);
-            
-            // Perform detection
-            const results = await this.detectionController.detectBooks(imageData);
+            // Capture and detect (in the worker when available)
+            const results = await this.pipeline.submit(this.video);
+            // Stopped while the frame was in flight (e.g. a finished scan is on screen)
+            if (!results || !this.isRunning) return;
+
+            // Blurred or badly lit frames are discarded by the controller; just tell the user why
+            this.updateQualityStatus(results.quality);
+            if (results.discarded) return;
             console.log('🔍 Detection completed:', results.books.length, 'books found');
+
+            if (results.pipeline.scanRestarted) {
+                this.updateStatus('Detection moved to the main thread: scan restarted, sweep again', 'warning');
+            } else if (results.scan) {
+                this.updateScanStatus(results.scan);
+            }
+            
+            // Verify the current guided step before drawing it
+            if (this.guide.active) {
+                this.updateGuidePanel(this.guide.verify(results.books));
+            }
             
             // Update UI
+            this.lastBooks = results.books;
+            this.lastDetectionType = results.detectionType;
+            this.rectification = results.rectification;
             this.updateStats(results.stats);
-            this.renderAR(results.books, results.suggestions);
+            this.updateTimings(results.timings, results.pipeline, results.motion);
+
+            // Hand the results to the render loop, dated to when the frame was captured
+            this.interpolator.update(results, performance.now() - results.timings.total);
             
             // Update detection method display
-            document.getElementById('detectionMethod').textContent = results.detectionType;
+            this.updateMethodDisplay(results.detectionType, results.connection);
             
         } catch (error) {
             console.error('❌ Detection error:', error);
@@ -226,24 +311,7 @@ class ARBookshelfOptimizer {
         }
     }
 
-    captureFrame() {
-        // Create temporary canvas for frame capture
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = this.video.videoWidth;
-        tempCanvas.height = this.video.videoHeight;
-        const tempCtx = tempCanvas.getContext('2d');
-        
-        // Draw current video frame
-        tempCtx.drawImage(this.video, 0, 0);
-        
-        // Get image data
-        const imageData = tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
-        
-        console.log(`📷 Frame captured: ${imageData.width}x${imageData.height}`);
-        return imageData;
-    }
-
-    renderAR(books, suggestions) {
+    renderAR(books, suggestions, preview = []) {
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
@@ -252,22 +320,276 @@ class ARBookshelfOptimizer {
         const scaleX = videoRect.width / this.video.videoWidth || 1;
         const scaleY = videoRect.height / this.video.videoHeight || 1;
         
-        console.log(`🎯 AR rendering: ${books.length} books, scale: ${scaleX.toFixed(2)}x${scaleY.toFixed(2)}, canvas: ${this.canvas.width}x${this.canvas.height}`);
+        this.drawRectification(scaleX, scaleY);
+
+        // Ghost of the chosen arrangement underneath the live boxes
+        preview.forEach(rect => {
+            this.drawPreviewRect(rect, scaleX, scaleY);
+        });
 
-        // Debug: log first few book positions for alignment check
-        if (books.length > 0) {
-            console.log(`📖 First book pos: x=${books[0].x}, y=${books[0].y}, w=${books[0].width}, scaled: x=${books[0].x * scaleX}, y=${books[0].y * scaleY}`);
-        }
-        
         // Render book detection boxes
         books.forEach(book => {
             this.drawBookDetection(book, scaleX, scaleY);
         });
 
-        // Render AR suggestions
-        suggestions.forEach(suggestion => {
-            this.drawARSuggestion(suggestion, scaleX, scaleY);
-        });
+        // Render AR suggestions, or only the current step while guiding
+        if (this.guide.active) {
+            this.drawGuidedStep(books, scaleX, scaleY);
+        } else {
+            const selected = this.getSelectedBook(books);
+            suggestions.forEach(suggestion => {
+                if (selected && suggestion.bookId === selected.id) {
+                    this.drawSelectedOption(selected, suggestion, scaleX, scaleY);
+                } else {
+                    this.drawARSuggestion(suggestion, scaleX, scaleY);
+                }
+            });
+        }
+    }
+
+    handleTap(event) {
+        // Taps on panels and buttons are not book selections
+        if (event.target !== this.video || !this.video.videoWidth) return;
+
+        // A finished scan covers the live view until analysis restarts; taps would hit books that are not drawn
+        if (this.panorama) return;
+
+        // Map the tap from display to frame coordinates
+        const videoRect = this.video.getBoundingClientRect();
+        const point = {
+            x: (event.clientX - videoRect.left) * (this.video.videoWidth / videoRect.width),
+            y: (event.clientY - videoRect.top) * (this.video.videoHeight / videoRect.height)
+        };
+
+        // Collecting the bookcase corners for manual rectification
+        if (this.rectifyPoints) {
+            this.addRectifyPoint(point);
+            return;
+        }
+
+        const current = this.getSelectedBook(this.lastBooks);
+        const tapped = this.findBookAt(this.lastBooks, point);
+
+        // Building a series group: each tapped book joins it in tap order
+        if (this.pendingGroup) {
+            if (tapped && !this.pendingGroup.includes(tapped.id)) {
+                this.pendingGroup.push(tapped.id);
+                this.updateStatus(`Series: ${this.pendingGroup.length} books tapped`, 'warning');
+            }
+            return;
+        }
+
+        if (tapped && current && tapped.id === current.id) {
+            this.optionIndex++;
+        } else {
+            this.selectedPoint = tapped ? point : null;
+            this.optionIndex = 0;
+        }
+    }
+
+    findBookAt(books, point) {
+        return books.find(book =>
+            point.x >= book.x && point.x <= book.x + book.width &&
+            point.y >= book.y && point.y <= book.y + book.height
+        ) || null;
+    }
+
+    getSelectedBook(books) {
+        return this.selectedPoint ? this.findBookAt(books, this.selectedPoint) : null;
+    }
+
+    drawSelectedOption(book, suggestion, scaleX, scaleY) {
+        const options = suggestion.alternatives || [suggestion];
+        const option = options[this.optionIndex % options.length];
+
+        this.ctx.strokeStyle = '#60a5fa';
+        this.ctx.lineWidth = 3;
+        this.ctx.setLineDash([]);
+        this.ctx.strokeRect(book.x * scaleX, book.y * scaleY, book.width * scaleX, book.height * scaleY);
+
+        this.drawARSuggestion({
+            ...option,
+            text: `${option.text} (${(this.optionIndex % options.length) + 1}/${options.length})`,
+            efficiency: option.tradeOffs ?
+                `Space ${this.formatTradeOff(option.tradeOffs.space)} · Access ${this.formatTradeOff(option.tradeOffs.access)} · View ${this.formatTradeOff(option.tradeOffs.visibility)}` :
+                option.efficiency
+        }, scaleX, scaleY);
+    }
+
+    formatTradeOff(value) {
+        return `${value >= 0 ? '+' : ''}${Math.round(value * 100)}`;
+    }
+
+    /**
+     * Pin the selected book in place, or unpin it
+     */
+    togglePin() {
+        const book = this.getSelectedBook(this.lastBooks);
+        if (!book) {
+            alert('Tap a book first, then press Pin to keep it where it stands.');
+            return;
+        }
+
+        if (this.pinnedIds.has(book.id)) {
+            this.pinnedIds.delete(book.id);
+            this.pipeline.call('unpinBook', book.id);
+        } else {
+            this.pinnedIds.add(book.id);
+            this.pipeline.call('pinBook', book.id);
+        }
+        console.log('📌 Pinned books:', [...this.pinnedIds]);
+    }
+
+    /**
+     * First press starts tapping a series in order; the second press saves it as a group
+     */
+    toggleGroupMode() {
+        const label = document.getElementById('groupLabel');
+
+        if (!this.pendingGroup) {
+            this.pendingGroup = [];
+            label.textContent = 'Finish Group';
+            this.updateStatus('Tap the series in order', 'warning');
+            return;
+        }
+
+        const bookIds = this.pendingGroup;
+        this.pendingGroup = null;
+        label.textContent = 'Group Series';
+        if (this.isRunning) this.updateStatus('Live Analysis Active', 'active');
+
+        if (bookIds.length < 2) return;
+        this.pipeline.call('addBookGroup', bookIds);
+        bookIds.forEach(id => this.groupIds.add(id));
+        console.log('🔗 Series group:', bookIds);
+    }
+
+    /**
+     * Keep every shelf sorted by height (short to tall, tall to short), or not at all
+     */
+    cycleSortMode() {
+        this.sortIndex = (this.sortIndex + 1) % this.sortModes.length;
+        const mode = this.sortModes[this.sortIndex];
+        this.pipeline.call('setSortOrder', null, mode ? mode.key : null, mode ? mode.direction : 'asc');
+
+        const arrows = { asc: '↑', desc: '↓' };
+        document.getElementById('sortLabel').textContent = mode ? `Sort: Height ${arrows[mode.direction]}` : 'Sort: None';
+    }
+
+    drawPreviewRect(rect, scaleX, scaleY) {
+        this.ctx.globalAlpha = 0.45;
+        this.ctx.fillStyle = rect.color;
+        this.ctx.fillRect(rect.x * scaleX, rect.y * scaleY, rect.width * scaleX, rect.height * scaleY);
+        this.ctx.globalAlpha = 1;
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([]);
+        this.ctx.strokeRect(rect.x * scaleX, rect.y * scaleY, rect.width * scaleX, rect.height * scaleY);
+    }
+
+    cycleStyleMode() {
+        this.styleIndex = (this.styleIndex + 1) % this.styleModes.length;
+        const mode = this.styleModes[this.styleIndex];
+        this.pipeline.call('setAestheticMode', mode);
+
+        const names = { rainbow: 'Rainbow', skyline: 'Skyline', alternating: 'Alternating' };
+        document.getElementById('styleLabel').textContent = `Style: ${mode ? names[mode] : 'Space'}`;
+        console.log('🎨 Arrangement style:', mode || 'space optimization');
+    }
+
+    drawGuidedStep(books, scaleX, scaleY) {
+        const step = this.guide.getCurrentStep();
+        if (!step) return;
+
+        const source = this.guide.getSourceRect(books);
+        const target = step.target;
+
+        // Book(s) to pick up
+        if (source) {
+            this.ctx.strokeStyle = '#60a5fa';
+            this.ctx.lineWidth = 3;
+            this.ctx.setLineDash([]);
+            this.ctx.strokeRect(source.x * scaleX - 3, source.y * scaleY - 3, source.width * scaleX + 6, source.height * scaleY + 6);
+        }
+
+        // Destination slot
+        if (target) {
+            this.ctx.strokeStyle = '#f472b6';
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([6, 4]);
+            this.ctx.strokeRect(target.x * scaleX, target.y * scaleY, target.width * scaleX, target.height * scaleY);
+            this.ctx.fillStyle = 'rgba(244, 114, 182, 0.15)';
+            this.ctx.fillRect(target.x * scaleX, target.y * scaleY, target.width * scaleX, target.height * scaleY);
+            this.ctx.setLineDash([]);
+        }
+
+        // Arrow from the book to where it goes
+        if (source && target) {
+            const fromX = (source.x + source.width / 2) * scaleX;
+            const fromY = (source.y + source.height / 2) * scaleY;
+            const toX = (target.x + target.width / 2) * scaleX;
+            const toY = (target.y + target.height / 2) * scaleY;
+            const angle = Math.atan2(toY - fromY, toX - fromX);
+
+            this.ctx.strokeStyle = '#fbbf24';
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.moveTo(fromX, fromY);
+            this.ctx.lineTo(toX, toY);
+            this.ctx.lineTo(toX - 10 * Math.cos(angle - 0.4), toY - 10 * Math.sin(angle - 0.4));
+            this.ctx.moveTo(toX, toY);
+            this.ctx.lineTo(toX - 10 * Math.cos(angle + 0.4), toY - 10 * Math.sin(angle + 0.4));
+            this.ctx.stroke();
+        }
+    }
+
+    async toggleGuidedMode() {
+        if (this.guide.active) {
+            this.guide.stop();
+            this.updateGuidePanel(this.guide.getProgress());
+            return;
+        }
+
+        let plan;
+        try {
+            plan = await this.pipeline.call('planMoveSequence');
+        } catch (error) {
+            console.error('❌ Move planning failed:', error);
+            this.guide.stop();
+            this.updateGuidePanel(this.guide.getProgress());
+            this.updateStatus(`Move Plan Failed: ${error.message}`, 'error');
+            return;
+        }
+
+        if (plan.steps.length === 0) {
+            alert('No moves needed - this shelf already matches the optimized layout.');
+            return;
+        }
+
+        this.updateGuidePanel(this.guide.start(plan, this.lastBooks));
+    }
+
+    updateGuidePanel(progress) {
+        const panel = document.getElementById('guidePanel');
+        panel.hidden = !progress.active;
+        if (!progress.active) {
+            this.updateStatus(this.isRunning ? 'Live Analysis Active' : 'Analysis Stopped', this.isRunning ? 'active' : 'stopped');
+            return;
+        }
+
+        if (progress.finished) {
+            document.getElementById('guideProgress').textContent = `Done: ${progress.completed} verified, ${progress.skipped} skipped`;
+            document.getElementById('guideStepText').textContent = '🎉 Reorganization complete!';
+            document.getElementById('guideConfirm').textContent = '';
+            this.updateStatus('Reorganization Complete', 'active');
+            return;
+        }
+
+        document.getElementById('guideProgress').textContent = `Step ${progress.current} of ${progress.total}`;
+        document.getElementById('guideStepText').textContent = progress.step.text;
+        document.getElementById('guideConfirm').textContent = progress.confirmations > 0 ?
+            `Checking ${progress.confirmations}/${this.guide.config.confirmationsRequired}` : '';
+        this.updateStatus(`Guided Step ${progress.current}/${progress.total}`, 'active');
     }
 
     drawBookDetection(book, scaleX, scaleY) {
@@ -281,21 +603,26 @@ class ARBookshelfOptimizer {
         const adjustedX = x + spineMargin;
         const adjustedWidth = Math.max(width - spineMargin * 2, 4);
         
-        // Main spine outline
-        this.ctx.strokeStyle = book.stable ? '#4ade80' : '#fbbf24';
-        this.ctx.lineWidth = book.stable ? 2 : 1.5;
-        this.ctx.setLineDash([]);
-        this.ctx.strokeRect(adjustedX, y, adjustedWidth, height);
-        
-        // Book spine left and right edges (more precise)
-        this.ctx.strokeStyle = book.confidence > 0.6 ? '#22c55e' : '#84cc16';
-        this.ctx.lineWidth = 2;
-        this.ctx.beginPath();
-        this.ctx.moveTo(adjustedX, y);
-        this.ctx.lineTo(adjustedX, y + height);
-        this.ctx.moveTo(adjustedX + adjustedWidth, y);
-        this.ctx.lineTo(adjustedX + adjustedWidth, y + height);
-        this.ctx.stroke();
+        if (book.corners && Math.abs(book.angle || 0) >= 1) {
+            // Leaning spine: rotated outline from the detector's corners
+            this.drawOrientedOutline(book, scaleX, scaleY);
+        } else {
+            // Main spine outline
+            this.ctx.strokeStyle = book.stable ? '#4ade80' : '#fbbf24';
+            this.ctx.lineWidth = book.stable ? 2 : 1.5;
+            this.ctx.setLineDash([]);
+            this.ctx.strokeRect(adjustedX, y, adjustedWidth, height);
+            
+            // Book spine left and right edges (more precise)
+            this.ctx.strokeStyle = book.confidence > 0.6 ? '#22c55e' : '#84cc16';
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.moveTo(adjustedX, y);
+            this.ctx.lineTo(adjustedX, y + height);
+            this.ctx.moveTo(adjustedX + adjustedWidth, y);
+            this.ctx.lineTo(adjustedX + adjustedWidth, y + height);
+            this.ctx.stroke();
+        }
         
         // Confidence indicator (smaller, less intrusive)
         if (book.confidence > 0.3) {
@@ -309,8 +636,20 @@ class ARBookshelfOptimizer {
             this.ctx.fillText(confText, adjustedX + 2, y - 6);
         }
         
-        // Book index number (for debugging)
-        if (book.id && book.confidence > 0.4) {
+        // Constraint markers: pinned books and members of a series
+        const marks = `${this.pinnedIds.has(book.id) ? '📌' : ''}${this.groupIds.has(book.id) || (this.pendingGroup || []).includes(book.id) ? '🔗' : ''}`;
+        if (marks) {
+            this.ctx.font = '11px Arial';
+            this.ctx.fillText(marks, adjustedX + 2, y + height - 4);
+        }
+
+        // Book number: the move plan's numbering while guiding, otherwise the id (for debugging)
+        const planLabel = this.guide.active ? this.guide.plan.labels[book.id] : undefined;
+        if (planLabel !== undefined) {
+            this.ctx.fillStyle = '#60a5fa';
+            this.ctx.font = 'bold 11px Arial';
+            this.ctx.fillText(String(planLabel), adjustedX + 2, y + 14);
+        } else if (book.id && book.confidence > 0.4) {
             this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
             this.ctx.font = '8px Arial';
             const bookNum = book.id.split('_').pop() || '?';
@@ -318,13 +657,41 @@ class ARBookshelfOptimizer {
         }
     }
 
+    /**
+     * Corners run top-left, top-right, bottom-right, bottom-left along the tilted spine
+     */
+    drawOrientedOutline(book, scaleX, scaleY) {
+        const points = book.corners.map(point => ({ x: point.x * scaleX, y: point.y * scaleY }));
+
+        this.ctx.strokeStyle = book.stable ? '#4ade80' : '#fbbf24';
+        this.ctx.lineWidth = book.stable ? 2 : 1.5;
+        this.ctx.setLineDash([]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(points[0].x, points[0].y);
+        points.slice(1).forEach(point => this.ctx.lineTo(point.x, point.y));
+        this.ctx.closePath();
+        this.ctx.stroke();
+
+        // Spine edges
+        this.ctx.strokeStyle = book.confidence > 0.6 ? '#22c55e' : '#84cc16';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(points[3].x, points[3].y);
+        this.ctx.lineTo(points[0].x, points[0].y);
+        this.ctx.moveTo(points[2].x, points[2].y);
+        this.ctx.lineTo(points[1].x, points[1].y);
+        this.ctx.stroke();
+    }
+
     drawARSuggestion(suggestion, scaleX, scaleY) {
         const x = suggestion.x * scaleX;
         const y = suggestion.y * scaleY;
 
-        // Suggestion box
+        // Suggestion box (red when it would break a user constraint or overload a shelf)
+        const warning = suggestion.blocked || suggestion.type === 'load-warning';
+        const accent = warning ? '#ef4444' : '#fbbf24';
         this.ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
-        this.ctx.strokeStyle = '#fbbf24';
+        this.ctx.strokeStyle = accent;
         this.ctx.lineWidth = 1;
         
         const boxWidth = 140;
@@ -334,19 +701,194 @@ class ARBookshelfOptimizer {
         this.ctx.strokeRect(x, y - boxHeight/2, boxWidth, boxHeight);
 
         // Suggestion text
-        this.ctx.fillStyle = '#fbbf24';
+        this.ctx.fillStyle = accent;
         this.ctx.font = 'bold 11px Arial';
         this.ctx.fillText(suggestion.text, x + 5, y - 8);
         
-        this.ctx.fillStyle = '#4ade80';
+        this.ctx.fillStyle = warning ? '#fca5a5' : '#4ade80';
         this.ctx.font = '9px Arial';
         this.ctx.fillText(suggestion.efficiency, x + 5, y + 8);
     }
 
     updateStats(stats) {
-        document.getElementById('bookCount').textContent = stats.booksFound;
+        document.getElementById('bookCount').textContent = stats.flatBooks > 0 ?
+            `${stats.booksFound} (${stats.flatBooks} flat)` : stats.booksFound;
         document.getElementById('spaceUsed').textContent = `${stats.spaceUsed}%`;
         document.getElementById('potentialGain').textContent = `+${stats.potentialGain}%`;
+        document.getElementById('scaleInfo').textContent = stats.pixelsPerMm ?
+            `${stats.pixelsPerMm.toFixed(2)} px/mm` : 'Uncalibrated';
+        document.getElementById('shelfLoad').textContent = `${stats.maxShelfLoadPercent || 0}%`;
+    }
+
+    updateMethodDisplay(detectionType, connection) {
+        const states = {
+            unknown: 'MCP checking',
+            connected: 'MCP online',
+            probing: 'MCP reconnecting',
+            disconnected: connection.retryInMs !== null ?
+                `MCP offline, retry ${Math.ceil(connection.retryInMs / 1000)}s` : 'MCP offline'
+        };
+
+        const element = document.getElementById('detectionMethod');
+        element.textContent = `${detectionType} (${states[connection.state]})`;
+        element.title = connection.lastError || '';
+    }
+
+    updateTimings(timings, pipeline, motion) {
+        const stages = ['capture', 'decode', 'motion', 'preprocess', 'detect', 'analyze']
+            .filter(stage => timings[stage] !== undefined)
+            .map(stage => `${stage} ${timings[stage].toFixed(0)}ms`);
+        const action = motion && motion.action !== 'detect' ? ` [${motion.action}]` : '';
+        console.log(`⏱️ Frame ${timings.total.toFixed(0)}ms${action} (${stages.join(', ')}), dropped ${pipeline.dropped}`);
+
+        const element = document.getElementById('frameTiming');
+        element.textContent = `${Math.round(timings.total)}ms`;
+        element.title = `${stages.join('\n')}\n${pipeline.dropped} frames dropped${pipeline.inWorker ? '' : ' (main thread)'}`;
+    }
+
+    /**
+     * Off, automatic (planks and side panels), or four tapped bookcase corners
+     */
+    cycleRectifyMode() {
+        this.rectifyIndex = (this.rectifyIndex + 1) % this.rectifyModes.length;
+        const mode = this.rectifyModes[this.rectifyIndex];
+        const labels = { off: 'Off', auto: 'Auto', manual: 'Tap corners' };
+        document.getElementById('rectifyLabel').textContent = `Rectify: ${labels[mode]}`;
+
+        if (mode === 'manual') {
+            // Keep the current warp until all four corners are in
+            this.rectifyPoints = [];
+            this.updateStatus('Tap the 4 bookcase corners', 'warning');
+            return;
+        }
+
+        this.rectifyPoints = null;
+        this.pipeline.call('setRectification', mode);
+        if (this.isRunning) this.updateStatus('Live Analysis Active', 'active');
+    }
+
+    addRectifyPoint(point) {
+        this.rectifyPoints.push(point);
+        if (this.rectifyPoints.length < 4) {
+            this.updateStatus(`Tap ${4 - this.rectifyPoints.length} more corner${this.rectifyPoints.length === 3 ? '' : 's'}`, 'warning');
+            return;
+        }
+
+        this.pipeline.call('setRectification', 'manual', this.rectifyPoints);
+        console.log('📐 Bookcase corners set:', this.rectifyPoints);
+        this.rectifyPoints = null;
+        this.updateStatus('Live Analysis Active', 'active');
+    }
+
+    /**
+     * Outline of the rectified bookcase, and any corners tapped so far
+     */
+    drawRectification(scaleX, scaleY) {
+        const corners = this.rectification && this.rectification.corners;
+        if (corners) {
+            this.ctx.strokeStyle = 'rgba(96, 165, 250, 0.6)';
+            this.ctx.lineWidth = 1.5;
+            this.ctx.setLineDash([6, 4]);
+            this.ctx.beginPath();
+            corners.forEach((corner, i) => {
+                if (i === 0) this.ctx.moveTo(corner.x * scaleX, corner.y * scaleY);
+                else this.ctx.lineTo(corner.x * scaleX, corner.y * scaleY);
+            });
+            this.ctx.closePath();
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+        }
+
+        (this.rectifyPoints || []).forEach(point => {
+            this.ctx.fillStyle = '#60a5fa';
+            this.ctx.beginPath();
+            this.ctx.arc(point.x * scaleX, point.y * scaleY, 5, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+    }
+
+    /**
+     * Start a sweep across the case, or finish it and show the whole case optimized at once
+     */
+    async toggleScan() {
+        try {
+            if (!this.scanning) {
+                await this.pipeline.call('startScan');
+                this.scanning = true;
+                document.getElementById('scanLabel').textContent = 'Finish Scan';
+                if (!this.isRunning) this.toggleDetection();
+                this.updateStatus('Scanning: sweep slowly across the case', 'active');
+                return;
+            }
+
+            this.scanning = false;
+            document.getElementById('scanLabel').textContent = 'Scan Case';
+            const results = await this.pipeline.call('finishScan');
+
+            // The panorama replaces the live view until analysis is restarted
+            if (this.isRunning) this.toggleDetection();
+            this.updateStats(results.stats);
+            this.updateMethodDisplay(results.detectionType, results.connection);
+            this.renderPanorama(results);
+            this.updateStatus(`Scan: ${results.books.length} books over ${results.panorama.frames} frames`, 'stopped');
+        } catch (error) {
+            console.error('❌ Scan error:', error);
+            this.scanning = false;
+            document.getElementById('scanLabel').textContent = 'Scan Case';
+            this.updateStatus(`Scan Failed: ${error.message}`, 'error');
+        }
+    }
+
+    updateScanStatus(scan) {
+        if (scan.lost) {
+            this.updateStatus('Scan lost its place, pan back', 'warning');
+        } else {
+            this.updateStatus(`Scanning: ${scan.frames} frames, ${scan.books} books`, 'active');
+        }
+    }
+
+    /**
+     * The stitched case fitted to the canvas, with its books and suggestions
+     */
+    renderPanorama(results) {
+        const { width, height } = results.panorama;
+        this.panorama = results.panorama;
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (!width || !height) return;
+
+        const scale = Math.min(this.canvas.width / width, this.canvas.height / height);
+        this.ctx.save();
+        this.ctx.translate((this.canvas.width - width * scale) / 2, (this.canvas.height - height * scale) / 2);
+
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        this.ctx.fillRect(0, 0, width * scale, height * scale);
+
+        results.preview.forEach(rect => this.drawPreviewRect(rect, scale, scale));
+        results.books.forEach(book => this.drawBookDetection(book, scale, scale));
+        results.suggestions.forEach(suggestion => this.drawARSuggestion(suggestion, scale, scale));
+
+        this.ctx.restore();
+    }
+
+    calibrateScale() {
+        const input = prompt('Enter the real width of the visible shelf in millimetres (leave empty to use book sizes):');
+        if (input === null) return;
+
+        const widthMm = parseFloat(input);
+        this.pipeline.call('setShelfWidthReference', Number.isFinite(widthMm) ? widthMm : null);
+        console.log('📏 Shelf width reference set:', Number.isFinite(widthMm) ? `${widthMm}mm` : 'none');
+    }
+
+    updateQualityStatus(quality) {
+        const message = quality ? quality.message : null;
+        if (message === this.qualityMessage || !this.isRunning) return;
+
+        this.qualityMessage = message;
+        if (message) {
+            this.updateStatus(message, 'warning');
+        } else {
+            this.updateStatus('Live Analysis Active', 'active');
+        }
     }
 
     updateStatus(text, type) {
@@ -360,6 +902,8 @@ class ARBookshelfOptimizer {
             statusDot.style.background = '#ef4444';
         } else if (type === 'stopped') {
             statusDot.style.background = '#6b7280';
+        } else if (type === 'warning') {
+            statusDot.style.background = '#f59e0b';
         } else {
             statusDot.style.background = '#4ade80';
         }
@@ -373,7 +917,7 @@ class ARBookshelfOptimizer {
     showInfo() {
         alert(`AR Bookshelf Optimizer
 
-Detection Method: ${this.detectionController.getDetectionMethod()}
+Detection Method: ${this.lastDetectionType}
 Books Found: ${document.getElementById('bookCount').textContent}
 Space Used: ${document.getElementById('spaceUsed').textContent}
 
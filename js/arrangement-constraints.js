@@ -0,0 +1,178 @@
+/**
+ * Arrangement Constraints Module
+ * User rules the optimizer must respect: pinned books, series groups and shelf sort orders
+ */
+
+class ArrangementConstraints {
+    constructor() {
+        this.pinned = new Set();
+        this.groups = [];
+        this.sortOrders = new Map();   // shelfIndex (or 'all') -> { key, direction }
+        this.nextGroupId = 1;
+
+        this.config = {
+            violationMode: 'suppress'  // 'suppress' drops violating suggestions, 'mark' keeps them flagged
+        };
+
+        // Suggestion types that take a book out of its upright place in the row
+        this.ROW_CHANGING_TYPES = ['rotate', 'stack', 'faceout', 'redistribute'];
+
+        // Fields detection actually measures; spines are not read, so there is no title or author to sort by
+        this.SORT_KEYS = ['height', 'width'];
+    }
+
+    pinBook(bookId) {
+        this.pinned.add(bookId);
+    }
+
+    unpinBook(bookId) {
+        this.pinned.delete(bookId);
+    }
+
+    isPinned(bookId) {
+        return this.pinned.has(bookId);
+    }
+
+    /**
+     * Books that must stay next to each other; ordered groups must also keep the given order
+     */
+    addGroup(bookIds, { ordered = true, name = null } = {}) {
+        const group = {
+            id: this.nextGroupId++,
+            name: name || `Group ${this.nextGroupId - 1}`,
+            bookIds: [...bookIds],
+            ordered
+        };
+        this.groups.push(group);
+        return group.id;
+    }
+
+    removeGroup(groupId) {
+        this.groups = this.groups.filter(group => group.id !== groupId);
+    }
+
+    getGroupFor(bookId) {
+        return this.groups.find(group => group.bookIds.includes(bookId)) || null;
+    }
+
+    /**
+     * Require a shelf (or every shelf, with shelfIndex null) to be sorted by a book field
+     */
+    setSortOrder(shelfIndex, key, direction = 'asc') {
+        if (!this.SORT_KEYS.includes(key)) {
+            throw new Error(`Cannot sort by ${key}: books only have ${this.SORT_KEYS.join(', ')}`);
+        }
+        this.sortOrders.set(shelfIndex === null ? 'all' : shelfIndex, { key, direction });
+    }
+
+    clearSortOrder(shelfIndex) {
+        this.sortOrders.delete(shelfIndex === null ? 'all' : shelfIndex);
+    }
+
+    getSortOrder(shelfIndex) {
+        return this.sortOrders.get(shelfIndex) || this.sortOrders.get('all') || null;
+    }
+
+    /**
+     * A book may leave its place in the upright row only if no rule ties it there
+     */
+    isMovable(book) {
+        return !this.isPinned(book.id) && !this.getGroupFor(book.id);
+    }
+
+    compareBooks(a, b, sortOrder) {
+        const valueA = a[sortOrder.key];
+        const valueB = b[sortOrder.key];
+        let result;
+
+        if (valueA === undefined || valueB === undefined) {
+            // Books missing the field keep their relative position at the end
+            result = (valueA === undefined) - (valueB === undefined);
+        } else if (typeof valueA === 'number' && typeof valueB === 'number') {
+            result = valueA - valueB;
+        } else {
+            result = String(valueA).localeCompare(String(valueB), undefined, { sensitivity: 'base' });
+        }
+
+        return sortOrder.direction === 'desc' ? -result : result;
+    }
+
+    /**
+     * Order an upright row: apply the shelf's sort order, then pull each group together in order
+     */
+    orderRow(books, shelfIndex) {
+        const sortOrder = this.getSortOrder(shelfIndex);
+        let row = [...books];
+
+        if (sortOrder) {
+            row.sort((a, b) => this.compareBooks(a, b, sortOrder));
+        }
+
+        this.groups.forEach(group => {
+            const members = row.filter(book => group.bookIds.includes(book.id));
+            if (members.length < 2) return;
+
+            const insertAt = row.indexOf(members[0]);
+            const ordered = group.ordered ?
+                group.bookIds.map(id => members.find(book => book.id === id)).filter(Boolean) :
+                members;
+
+            row = row.filter(book => !members.includes(book));
+            row.splice(Math.min(insertAt, row.length), 0, ...ordered);
+        });
+
+        return row;
+    }
+
+    /**
+     * List the constraints a suggestion would break
+     */
+    checkSuggestion(suggestion, books) {
+        const violations = [];
+        const bookId = suggestion.bookId;
+
+        if (this.isPinned(bookId)) {
+            violations.push({ constraint: 'pinned', message: 'Book is pinned in place' });
+        }
+
+        const group = this.getGroupFor(bookId);
+        if (group && this.ROW_CHANGING_TYPES.includes(suggestion.type)) {
+            violations.push({ constraint: 'group', message: `Would split ${group.name}` });
+        }
+
+        const book = suggestion.book || books.find(b => b.id === bookId);
+        const shelfIndex = book && book.shelfIndex !== undefined ? book.shelfIndex : 0;
+        if (this.getSortOrder(shelfIndex) && ['rotate', 'stack', 'faceout'].includes(suggestion.type)) {
+            violations.push({ constraint: 'order', message: `Shelf ${shelfIndex + 1} must stay sorted` });
+        }
+
+        return violations;
+    }
+
+    /**
+     * Drop or flag suggestions that break a constraint, depending on violationMode
+     */
+    filterSuggestions(suggestions, books) {
+        const result = [];
+
+        suggestions.forEach(suggestion => {
+            const violations = this.checkSuggestion(suggestion, books);
+
+            if (violations.length === 0) {
+                result.push(suggestion);
+            } else if (this.config.violationMode === 'mark') {
+                result.push({
+                    ...suggestion,
+                    text: `⚠ ${suggestion.text}`,
+                    efficiency: violations[0].message,
+                    blocked: true,
+                    violations
+                });
+            }
+        });
+
+        return result;
+    }
+}
+
+export default ArrangementConstraints;
@@ -6,42 +6,247 @@
 import MCPBookDetection from './mcp-integration.js';
 import FallbackDetection from './fallback-detection.js';
 import SpatialOptimizer from './spatial-optimizer.js';
+import ScaleCalibration from './scale-calibration.js';
+import MoveSequencePlanner from './move-sequence-planner.js';
+import ArrangementConstraints from './arrangement-constraints.js';
+import DetectorRegistry from './detector-registry.js';
+import EnsembleDetection from './ensemble-detection.js';
+import FramePreprocessor from './frame-preprocessor.js';
+import BookTracker from './book-tracker.js';
+import MotionGate from './motion-gate.js';
+import FrameQualityEstimator from './frame-quality-estimator.js';
+import PerspectiveRectifier from './perspective-rectifier.js';
+import PanoramaScanner from './panorama-scanner.js';
 
 class BookDetectionController {
     constructor() {
         this.mcpDetection = new MCPBookDetection();
         this.fallbackDetection = new FallbackDetection();
+        this.detectors = new DetectorRegistry();
+        this.detectors.register('mcp', this.mcpDetection, { priority: 10 });
+        this.detectors.register('fallback', this.fallbackDetection, { priority: 0 });
+
+        // Ensemble mode: both detectors on every frame, fused; off until setEnsembleMode(true)
+        this.ensembleDetection = new EnsembleDetection([
+            { name: 'mcp', detector: this.mcpDetection, weight: 1 },
+            { name: 'fallback', detector: this.fallbackDetection, weight: 0.8 }
+        ]);
+        this.detectors.register('ensemble', this.ensembleDetection, { priority: 20, enabled: false });
+        this.preprocessor = new FramePreprocessor(this.mcpDetection);
+        this.rectifier = new PerspectiveRectifier();
+        this.tracker = new BookTracker();
+        this.motionGate = new MotionGate();
+        this.qualityEstimator = new FrameQualityEstimator();
+        this.scanner = new PanoramaScanner();
+        this.lastResults = null;
         this.spatialOptimizer = new SpatialOptimizer();
+        this.scaleCalibration = new ScaleCalibration(this.spatialOptimizer.dimensionsDB);
+        this.movePlanner = new MoveSequencePlanner();
+        this.constraints = new ArrangementConstraints();
+        this.spatialOptimizer.setConstraints(this.constraints);
         
         this.detectionHistory = [];
         this.maxHistorySize = 5;
         this.stableBooks = [];
         this.arSuggestions = [];
+        this.shelfLayouts = [];
+        this.redistribution = null;
+        this.aestheticMode = null;
+        this.calibration = this.scaleCalibration.getCalibration();
+        this.frameSize = { width: 0, height: 0 };
+        this.detectedShelves = [];
     }
 
     async detectBooks(imageData) {
+        this.frameSize = { width: imageData.width, height: imageData.height };
+
+        // Skip detection when the scene is unchanged, or only panned
+        let stageStart = performance.now();
+        const motion = this.motionGate.analyze(imageData);
+        // A sweep moves the view on purpose; the sharpness check still catches one that is too fast
+        const quality = this.qualityEstimator.assess(imageData, this.scanner.active ? null : motion.thumb);
+        const motionMs = performance.now() - stageStart;
+
+        // Smeared or badly exposed frames produce phantom edges; keep the last results instead
+        if (!quality.ok) {
+            console.log(`🫨 Frame discarded (${quality.issues.join(', ')})`);
+            const results = { ...(this.lastResults || this.analyzeBooks(this.getDetectionMethod())), discarded: true };
+            results.quality = quality;
+            results.motion = this.summarizeMotion(motion);
+            results.timings = { motion: motionMs };
+            return results;
+        }
+
+        // The camera settled on a different scene: old tracks would only be matched to the wrong books
+        if (motion.reason === 'jump') {
+            console.log('📷 Camera jumped, clearing tracked books');
+            this.resetTracking();
+        }
+
+        // While scanning every frame is detected, so books entering from the side are not missed
+        if (this.lastResults && motion.action !== 'detect' && !this.scanner.active) {
+            this.motionGate.accept(motion);
+            if (motion.action === 'translate') {
+                this.lastResults = this.applyCameraShift(motion.dx, motion.dy);
+            }
+            // Boxes already sit where this frame shows them; stale velocities would make the overlay drift ahead
+            // and the next detection predict every track past its book
+            this.tracker.hold();
+            const results = {
+                ...this.lastResults,
+                books: this.lastResults.books.map(book => ({ ...book, vx: 0, vy: 0 })),
+                reused: motion.action === 'reuse'
+            };
+            results.quality = quality;
+            results.motion = this.summarizeMotion(motion);
+            results.timings = { motion: motionMs };
+            return results;
+        }
+
         console.log('🔍 Starting book detection pipeline...');
         
-        try {
-            // Try MCP detection first
-            const books = await this.mcpDetection.detectBooks(imageData);
-            console.log('✅ MCP detection successful:', books.length, 'books');
-            return this.processDetectionResults(books, 'MCP');
-            
-        } catch (error) {
-            console.warn('⚠️ MCP detection failed, using fallback:', error.message);
-            
-            // Fall back to enhanced local detection
-            const books = this.fallbackDetection.detectBooks(imageData);
-            console.log('✅ Fallback detection completed:', books.length, 'books');
-            return this.processDetectionResults(books, 'Fallback');
+        // Optional straight-on warp and clean-up pass; detectors see the processed frame, results map back to the original
+        stageStart = performance.now();
+        if (this.rectifier.config.mode !== 'off') {
+            this.preprocessor.configure({ perspective: this.rectifier.update(imageData) });
+        }
+        const prepared = await this.preprocessor.process(imageData);
+        const preprocessMs = performance.now() - stageStart;
+
+        // Highest-priority available detector wins; failures fall through the chain
+        stageStart = performance.now();
+        const result = await this.detectors.detect(prepared.imageData);
+        const detectMs = performance.now() - stageStart;
+        console.log(`✅ ${result.label} detection completed:`, result.books.length, 'books');
+
+        // Shelf lines only come from detectors that find them
+        const shelves = result.capabilities.includes('shelves') ? result.detector.lastShelves || [] : [];
+        this.detectedShelves = this.preprocessor.mapShelvesToFrame(shelves, prepared.transform);
+
+        let books = this.preprocessor.mapBooksToFrame(result.books, prepared.transform);
+        books = result.capabilities.includes('colors') ? books : this.annotateColors(books, imageData);
+
+        stageStart = performance.now();
+        const results = this.processDetectionResults(books, result.label);
+        results.quality = quality;
+        results.motion = this.summarizeMotion(motion);
+        results.timings = { motion: motionMs, preprocess: preprocessMs, detect: detectMs, analyze: performance.now() - stageStart };
+        if (this.scanner.active) {
+            results.scan = this.scanner.addFrame(imageData, books, this.detectedShelves);
         }
+        this.motionGate.accept(motion);
+        this.lastResults = results;
+        return results;
+    }
+
+    /**
+     * The camera panned over the same shelf: move tracks and shelf lines instead of re-detecting
+     */
+    applyCameraShift(dx, dy) {
+        console.log(`↔️ Camera shift (${dx.toFixed(0)}, ${dy.toFixed(0)}), translating tracks`);
+        this.stableBooks = this.tracker.translate(dx, dy);
+        const shiftPlank = plank => plank ?
+            { topY: plank.topY + dy, bottomY: plank.bottomY + dy, left: plank.left + dx, right: plank.right + dx } : plank;
+        this.detectedShelves = this.detectedShelves.map(shelf => ({
+            ...shelf,
+            topY: shelf.topY + dy,
+            bottomY: shelf.bottomY + dy,
+            topPlank: shiftPlank(shelf.topPlank),
+            bottomPlank: shiftPlank(shelf.bottomPlank)
+        }));
+        return this.analyzeBooks(this.getDetectionMethod());
+    }
+
+    summarizeMotion(motion) {
+        return { action: motion.action, dx: motion.dx, dy: motion.dy, difference: motion.difference };
+    }
+
+    /**
+     * Drop every tracked book and shelf so the next detection starts from scratch
+     */
+    resetTracking() {
+        this.tracker.reset();
+        this.motionGate.reset();
+        this.detectionHistory = [];
+        this.stableBooks = [];
+        this.detectedShelves = [];
+        this.lastResults = null;
+    }
+
+    /**
+     * Begin a sweep across a bookcase wider than the view; detections are stitched until finishScan()
+     */
+    startScan() {
+        this.scanner.start();
+        this.resetTracking();
+        return this.scanner.getStatus();
+    }
+
+    /**
+     * Stitch the sweep into one case and optimize it as a whole: analysis results in case coordinates, plus panorama
+     */
+    finishScan() {
+        if (!this.scanner.active) {
+            throw new Error('No panorama scan in progress');
+        }
+
+        const model = this.scanner.finish();
+        this.resetTracking();
+
+        // The whole case gets its own scale; the live view re-seeds afterwards
+        this.scaleCalibration.resetScale();
+        this.stableBooks = model.books;
+        this.detectedShelves = model.shelves;
+        this.frameSize = { width: model.width, height: model.height };
+
+        const results = this.analyzeBooks('Panorama');
+        results.panorama = { width: model.width, height: model.height, frames: model.frames };
+
+        this.resetTracking();
+        this.scaleCalibration.resetScale();
+        return results;
+    }
+
+    /**
+     * Configure the pre-processing stage, e.g. { enabled: true, operations: ['contrast'], shelfCrop: rect }
+     */
+    setPreprocessing(options) {
+        this.preprocessor.configure(options);
+    }
+
+    /**
+     * Warp frames to a straight-on bookcase view: mode 'off', 'auto', or 'manual' with four frame points
+     */
+    setRectification(mode, corners = null) {
+        this.rectifier.setMode(mode, corners);
+        this.preprocessor.configure({ perspective: this.rectifier.getStatus().corners });
+        this.resetTracking();
+        return this.rectifier.getStatus();
+    }
+
+    /**
+     * Add a custom detector: { detect(imageData), label, capabilities, cost, isAvailable() }
+     */
+    registerDetector(name, detector, options = {}) {
+        this.detectors.register(name, detector, options);
+    }
+
+    setDetectorEnabled(name, enabled) {
+        this.detectors.setEnabled(name, enabled);
+    }
+
+    /**
+     * Run MCP and fallback together and fuse their boxes instead of using one or the other
+     */
+    setEnsembleMode(enabled) {
+        this.detectors.setEnabled('ensemble', enabled);
     }
 
     processDetectionResults(books, detectionType) {
         // Add to detection history for stability
+        const timestamp = Date.now();
         this.detectionHistory.push({
-            timestamp: Date.now(),
+            timestamp,
             count: books.length,
             books: books,
             type: detectionType
@@ -52,103 +257,182 @@ class BookDetectionController {
             this.detectionHistory.shift();
         }
 
-        // Stabilize book positions
-        this.stableBooks = this.stabilizeBookPositions(books, this.stableBooks);
+        // Track books across frames: stable ids, filtered boxes and velocities
+        this.stableBooks = this.tracker.update(books, timestamp);
+
+        return this.analyzeBooks(detectionType);
+    }
+
+    /**
+     * Calibration, redistribution, suggestions and layouts for the current tracked books
+     */
+    analyzeBooks(detectionType) {
+        // Calibrate pixels-per-mm for this frame and attach real dimensions
+        this.calibration = this.scaleCalibration.calibrate(this.stableBooks, this.getShelfRegions());
+        this.stableBooks = this.scaleCalibration.applyScale(this.stableBooks).books;
+        const regions = this.getShelfRegions();
+
+        // Decide which books belong on which shelf across the whole case
+        const booksWithShelves = this.getBooksWithShelves(regions);
+        this.redistribution = this.spatialOptimizer.suggestRedistribution(booksWithShelves, regions);
 
         // Generate spatial optimization suggestions
-        this.arSuggestions = this.spatialOptimizer.generateOptimizationSuggestions(this.stableBooks);
+        const redistributionSuggestions = this.spatialOptimizer.generateRedistributionSuggestions(booksWithShelves, this.redistribution);
+        const movingIds = new Set(redistributionSuggestions.map(suggestion => suggestion.bookId));
+        this.arSuggestions = [
+            ...redistributionSuggestions,
+            ...this.spatialOptimizer.generateOptimizationSuggestions(booksWithShelves)
+                .filter(suggestion => !movingIds.has(suggestion.bookId))
+        ];
+
+        // Plan the finished arrangement for each shelf, warning about shelves that would sag
+        this.shelfLayouts = this.planShelfLayouts(regions);
+        this.arSuggestions.push(...this.spatialOptimizer.generateLoadWarnings(this.shelfLayouts));
 
         return {
             books: this.stableBooks,
             suggestions: this.arSuggestions,
+            layouts: this.shelfLayouts,
+            preview: this.aestheticMode ?
+                this.shelfLayouts.flatMap(layout => this.spatialOptimizer.aestheticEngine.buildPreview(layout)) : [],
+            redistribution: this.redistribution,
+            calibration: this.calibration,
             stats: this.calculateStats(),
-            detectionType: detectionType
+            detectionType: detectionType,
+            connection: this.getConnectionStatus(),
+            rectification: this.rectifier.getStatus()
         };
     }
 
-    stabilizeBookPositions(newBooks, oldBooks) {
-        if (oldBooks.length === 0) {
-            return newBooks.map(book => ({ ...book, stable: true }));
+    /**
+     * Get shelf regions in frame coordinates, from the detector's shelf lines when available
+     */
+    getShelfRegions() {
+        const frameWidth = this.frameSize.width;
+        const shelfDepth = this.spatialOptimizer.dimensionsDB.shelfStandards.depth.ideal;
+        const detected = this.detectedShelves;
+
+        if (detected.length > 0) {
+            const regions = detected.map((shelf, shelfIndex) => ({
+                shelfIndex,
+                x: 0,
+                topY: shelf.topY,
+                bottomY: shelf.bottomY,
+                width: frameWidth,
+                // Clear opening between the planks
+                height: shelf.bottomY - shelf.topY,
+                topPlank: shelf.topPlank || null,
+                bottomPlank: shelf.bottomPlank || null,
+                // Where the planks actually run: the case's inside width, which the region itself does not measure
+                caseSpan: this.getCaseSpan(shelf),
+                depth: shelfDepth
+            }));
+            return this.scaleCalibration.applyScale([], regions).shelves;
         }
 
-        const stabilized = [];
-        const usedOldBooks = new Set();
-        const stabilityFactor = 0.6;
-
-        // Match new books with old books based on proximity
-        newBooks.forEach((newBook) => {
-            let bestMatch = null;
-            let bestDistance = Infinity;
-            
-            oldBooks.forEach((oldBook, idx) => {
-                if (usedOldBooks.has(idx)) return;
-                
-                const distance = Math.sqrt(
-                    Math.pow(newBook.x - oldBook.x, 2) + 
-                    Math.pow(newBook.y - oldBook.y, 2)
-                );
-                
-                if (distance < bestDistance && distance < 50) {
-                    bestDistance = distance;
-                    bestMatch = { book: oldBook, index: idx };
-                }
-            });
-            
-            if (bestMatch) {
-                usedOldBooks.add(bestMatch.index);
-                // Smooth transition from old to new position
-                stabilized.push({
-                    ...newBook,
-                    x: bestMatch.book.x * stabilityFactor + newBook.x * (1 - stabilityFactor),
-                    y: bestMatch.book.y * stabilityFactor + newBook.y * (1 - stabilityFactor),
-                    width: bestMatch.book.width * stabilityFactor + newBook.width * (1 - stabilityFactor),
-                    height: bestMatch.book.height * stabilityFactor + newBook.height * (1 - stabilityFactor),
-                    confidence: Math.max(bestMatch.book.confidence * 0.8 + newBook.confidence * 0.2, 0.3),
-                    stable: true
-                });
-            } else {
-                // New book detected
-                stabilized.push({
-                    ...newBook,
-                    stable: false
-                });
-            }
+        // No shelf lines yet: derive one region per shelf index from the books themselves
+        const regions = new Map();
+        this.stableBooks.forEach(book => {
+            const shelfIndex = book.shelfIndex || 0;
+            const region = regions.get(shelfIndex) || { shelfIndex, topY: Infinity, bottomY: 0 };
+            region.topY = Math.min(region.topY, book.y);
+            region.bottomY = Math.max(region.bottomY, book.y + book.height);
+            regions.set(shelfIndex, region);
         });
 
-        // Keep persistent books that weren't matched (brief disappearance tolerance)
-        oldBooks.forEach((oldBook, idx) => {
-            if (!usedOldBooks.has(idx) && oldBook.stable && oldBook.confidence > 0.2) {
-                stabilized.push({
-                    ...oldBook,
-                    confidence: oldBook.confidence * 0.9,
-                    stable: oldBook.confidence > 0.3
-                });
-            }
-        });
+        const derived = [...regions.values()]
+            .sort((a, b) => a.shelfIndex - b.shelfIndex)
+            .map(region => ({
+                ...region,
+                x: 0,
+                width: frameWidth,
+                height: region.bottomY - region.topY,
+                depth: shelfDepth,
+                // Spanned by the books themselves: no clear height to check them against
+                estimated: true
+            }));
+        return this.scaleCalibration.applyScale([], derived).shelves;
+    }
+
+    /**
+     * Widest plank span of a detected shelf, { left, right } in frame pixels, or null without planks
+     */
+    getCaseSpan(shelf) {
+        const planks = [shelf.topPlank, shelf.bottomPlank].filter(plank => plank && plank.right > plank.left);
+        if (planks.length === 0) return null;
+
+        const widest = planks.reduce((best, plank) => plank.right - plank.left > best.right - best.left ? plank : best);
+        return { left: widest.left, right: widest.right };
+    }
+
+    getShelfIndexForBook(book, regions) {
+        if (book.shelfIndex !== undefined) return book.shelfIndex;
+
+        const centerY = book.y + book.height / 2;
+        const region = regions.find(r => centerY >= r.topY && centerY < r.bottomY);
+        return region ? region.shelfIndex : 0;
+    }
 
-        return stabilized.filter(book => book.confidence > 0.15);
+    getBooksWithShelves(regions) {
+        return this.stableBooks.map(book => ({
+            ...book,
+            shelfIndex: this.getShelfIndexForBook(book, regions)
+        }));
+    }
+
+    planShelfLayouts(regions) {
+        // Plan each shelf with the books the redistribution assigned to it
+        const assignments = this.redistribution ? this.redistribution.assignments : {};
+        const books = this.getBooksWithShelves(regions);
+
+        return regions
+            .map(region => {
+                const shelfBooks = books.filter(book => (assignments[book.id] ?? book.shelfIndex) === region.shelfIndex);
+                const layout = this.aestheticMode ?
+                    this.spatialOptimizer.planAestheticLayout(shelfBooks, region, this.aestheticMode) :
+                    this.spatialOptimizer.planShelfLayout(shelfBooks, region);
+                layout.freedMm = this.calibration.calibrated ? layout.freedWidth / this.calibration.pixelsPerMm : null;
+                return layout;
+            })
+            .filter(layout => layout.slots.length > 0);
+    }
+
+    /**
+     * Ordered physical moves from the current shelves to the planned layouts
+     */
+    planMoveSequence() {
+        const books = this.getBooksWithShelves(this.getShelfRegions());
+        return this.movePlanner.planMoves(books, this.shelfLayouts);
     }
 
     calculateStats() {
         const totalBooks = this.stableBooks.length;
         const totalOptimizations = this.arSuggestions.length;
         
-        // Calculate space utilization (assuming 2 shelves)
-        const shelfWidth = 400; // Approximate shelf width
-        const shelf1Books = this.stableBooks.filter(book => book.y < 200);
-        const shelf2Books = this.stableBooks.filter(book => book.y >= 200);
+        // Calculate space utilization per detected shelf
+        const regions = this.getShelfRegions();
+        const books = this.getBooksWithShelves(regions);
+        const utilizations = regions.map(region => this.spatialOptimizer.calculateShelfUtilization(
+            books.filter(book => book.shelfIndex === region.shelfIndex), region.width, region.height
+        ));
         
-        const shelf1Utilization = this.spatialOptimizer.calculateShelfUtilization(shelf1Books, shelfWidth, 200);
-        const shelf2Utilization = this.spatialOptimizer.calculateShelfUtilization(shelf2Books, shelfWidth, 200);
-        
-        const avgUtilization = (shelf1Utilization.widthUtilization + shelf2Utilization.widthUtilization) / 2;
-        const potentialGain = shelf1Utilization.potentialGain + shelf2Utilization.potentialGain;
+        const totalWidth = regions.reduce((sum, region) => sum + region.width, 0);
+        const avgUtilization = utilizations.length > 0 ?
+            utilizations.reduce((sum, u) => sum + u.widthUtilization, 0) / utilizations.length : 0;
+        const potentialGain = utilizations.reduce((sum, u) => sum + u.potentialGain, 0);
         
         return {
             booksFound: totalBooks,
+            flatBooks: this.stableBooks.filter(book => book.orientation === 'flat').length,
             spaceUsed: Math.round(avgUtilization),
-            potentialGain: Math.round((potentialGain / (shelfWidth * 2)) * 100),
+            potentialGain: totalWidth > 0 ? Math.round((potentialGain / totalWidth) * 100) : 0,
+            shelvesFound: regions.length,
+            redistributionMoves: this.redistribution ? this.redistribution.moves.length : 0,
+            maxShelfLoadPercent: this.shelfLayouts.reduce((max, layout) => Math.max(max, layout.load ? layout.load.loadPercent : 0), 0),
             optimizationSuggestions: totalOptimizations,
+            spaceFreedMm: this.calibration.calibrated ?
+                Math.round(this.shelfLayouts.reduce((sum, layout) => sum + layout.freedMm, 0)) : null,
+            pixelsPerMm: this.calibration.pixelsPerMm,
             detectionStability: this.calculateDetectionStability()
         };
     }
@@ -164,6 +448,77 @@ class BookDetectionController {
         return Math.round(stability);
     }
 
+    /**
+     * Fill in spine colours for detectors that don't sample pixels themselves
+     */
+    annotateColors(books, imageData) {
+        return books.map(book => book.dominantColor ? book : {
+            ...book,
+            dominantColor: this.fallbackDetection.getDominantColor(imageData.data, imageData.width, book)
+        });
+    }
+
+    /**
+     * Arrange shelves for looks ('rainbow', 'skyline', 'alternating') or for space (null)
+     */
+    setAestheticMode(mode) {
+        this.aestheticMode = mode;
+    }
+
+    /**
+     * Describe the shelf boards for load and sag estimates: { material, span, thicknessMm, depthMm }
+     */
+    setShelfSpec(spec) {
+        this.spatialOptimizer.setShelfSpec(spec);
+    }
+
+    /**
+     * Keep a tracked book exactly where it stands
+     */
+    pinBook(bookId) {
+        this.constraints.pinBook(bookId);
+    }
+
+    unpinBook(bookId) {
+        this.constraints.unpinBook(bookId);
+    }
+
+    /**
+     * Books (a series) that must stay together in the given order; returns the group id
+     */
+    addBookGroup(bookIds, options = {}) {
+        return this.constraints.addGroup(bookIds, options);
+    }
+
+    removeBookGroup(groupId) {
+        this.constraints.removeGroup(groupId);
+    }
+
+    /**
+     * Require a shelf (null for every shelf) to stay sorted by 'height' or 'width'; key null clears it
+     */
+    setSortOrder(shelfIndex, key, direction = 'asc') {
+        if (key === null) {
+            this.constraints.clearSortOrder(shelfIndex);
+        } else {
+            this.constraints.setSortOrder(shelfIndex, key, direction);
+        }
+    }
+
+    /**
+     * Set the real shelf width (mm) used as the calibration reference
+     */
+    setShelfWidthReference(widthMm) {
+        this.scaleCalibration.setShelfWidthReference(widthMm);
+    }
+
+    /**
+     * MCP server connection state: 'unknown', 'connected', 'disconnected' or 'probing'
+     */
+    getConnectionStatus() {
+        return this.mcpDetection.health.getStatus();
+    }
+
     getDetectionMethod() {
         if (this.detectionHistory.length === 0) return 'None';
         return this.detectionHistory[this.detectionHistory.length - 1].type;
@@ -12,35 +12,40 @@ class BookDimensionsDB {
                 height: { min: 160, ideal: 175, max: 190 },     // 6.87"
                 spine: { min: 6, ideal: 12, max: 36 },          // 0.25"-1.5"
                 aspectRatio: { min: 1.4, ideal: 1.6, max: 2.0 },
-                confidence: 0.9
+                confidence: 0.9,
+                density: 0.60                                   // g/cm³
             },
             tradePaperback: {
                 width: { min: 132, ideal: 140, max: 148 },      // 5.5"
                 height: { min: 204, ideal: 216, max: 228 },     // 8.5"
                 spine: { min: 6, ideal: 15, max: 36 },          // 0.25"-1.5"
                 aspectRatio: { min: 1.4, ideal: 1.55, max: 1.8 },
-                confidence: 0.95
+                confidence: 0.95,
+                density: 0.65                                   // g/cm³
             },
             hardcover: {
                 width: { min: 144, ideal: 153, max: 162 },      // 6"
                 height: { min: 216, ideal: 229, max: 242 },     // 9"
                 spine: { min: 18, ideal: 24, max: 60 },         // 0.75"-2.5"
                 aspectRatio: { min: 1.3, ideal: 1.5, max: 1.8 },
-                confidence: 1.0
+                confidence: 1.0,
+                density: 0.75                                   // g/cm³
             },
             largeFormat: {
                 width: { min: 168, ideal: 178, max: 188 },      // 7"
                 height: { min: 240, ideal: 254, max: 268 },     // 10"
                 spine: { min: 18, ideal: 30, max: 60 },         // 0.75"-2.5"
                 aspectRatio: { min: 1.3, ideal: 1.43, max: 1.6 },
-                confidence: 0.8
+                confidence: 0.8,
+                density: 0.85                                   // g/cm³
             },
             textbook: {
                 width: { min: 204, ideal: 216, max: 228 },      // 8.5"
                 height: { min: 264, ideal: 280, max: 296 },     // 11"
                 spine: { min: 24, ideal: 48, max: 72 },         // 1"-3"
                 aspectRatio: { min: 1.2, ideal: 1.3, max: 1.5 },
-                confidence: 0.7
+                confidence: 0.7,
+                density: 0.95                                   // g/cm³
             }
         };
 
@@ -51,8 +56,53 @@ class BookDimensionsDB {
             bookCapacity: { min: 8, ideal: 18, max: 25 }        // Per shelf
         };
 
+        // Common shelf spans between supports
+        this.shelfSpans = {
+            narrow: this.shelfStandards.width.min,               // 24"
+            standard: 762,                                       // 30"
+            wide: this.shelfStandards.width.ideal,               // 36"
+            extraWide: this.shelfStandards.width.max             // 48"
+        };
+
+        // Shelf board materials: modulus of elasticity (MPa), density (kg/m³), long-term creep multiplier
+        this.shelfMaterials = {
+            particleboard: { modulus: 2760, density: 680, creepFactor: 2.0, thickness: 16 },
+            mdf: { modulus: 3100, density: 750, creepFactor: 2.0, thickness: 19 },
+            plywood: { modulus: 8300, density: 600, creepFactor: 1.5, thickness: 19 },
+            pine: { modulus: 8900, density: 500, creepFactor: 1.5, thickness: 19 },
+            oak: { modulus: 12500, density: 750, creepFactor: 1.5, thickness: 19 }
+        };
+
         // Pixel to inch conversion (approximate)
         this.pixelsPerInch = 25.4; // Rough estimate for camera images
+        
+        // At 25.4 px/inch one reference pixel is one millimetre, so the tables above double as mm values
+        this.referencePixelsPerMm = this.pixelsPerInch / 25.4;
+    }
+
+    /**
+     * Convert a table value (reference pixels) to millimetres
+     */
+    toMillimetres(referencePixels) {
+        return referencePixels / this.referencePixelsPerMm;
+    }
+
+    /**
+     * Convert millimetres to table units (reference pixels)
+     */
+    fromMillimetres(mm) {
+        return mm * this.referencePixelsPerMm;
+    }
+
+    /**
+     * Validate real-world (calibrated) dimensions in millimetres
+     */
+    validateBookDimensionsMm(widthMm, heightMm, spineWidthMm = null) {
+        return this.validateBookDimensions(
+            this.fromMillimetres(widthMm),
+            this.fromMillimetres(heightMm),
+            spineWidthMm !== null ? this.fromMillimetres(spineWidthMm) : null
+        );
     }
 
     /**
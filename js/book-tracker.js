@@ -0,0 +1,260 @@
+/**
+ * Book Tracker Module
+ * Multi-object tracker giving detected books stable identities across frames
+ */
+
+import { intersectionOverUnion } from './geometry.js';
+
+class BookTracker {
+    constructor() {
+        this.config = {
+            minIoU: 0.2,            // Weakest overlap that still counts as the same book
+            minHits: 2,             // Detections before a new track is confirmed (stable)
+            maxMisses: 5,           // Frames a confirmed track may go undetected before it dies
+            positionGain: 0.5,      // Alpha-beta filter: how far to move toward each measurement
+            velocityGain: 0.2,      // Alpha-beta filter: how much each residual changes velocity
+            sizeGain: 0.4,
+            missDecay: 0.9          // Confidence factor per missed frame
+        };
+
+        this.tracks = [];
+        this.nextId = 1;
+        this.lastTimestamp = null;
+    }
+
+    /**
+     * Forget every track (e.g. after the camera jumped to another shelf)
+     */
+    reset() {
+        this.tracks = [];
+        this.lastTimestamp = null;
+    }
+
+    /**
+     * Shift every track by a global camera motion without re-detecting
+     */
+    translate(dx, dy) {
+        this.tracks.forEach(track => {
+            track.x += dx;
+            track.y += dy;
+        });
+        return this.getBooks();
+    }
+
+    /**
+     * The frame was not re-detected (unchanged or only panned): the boxes stand still at this time.
+     * Without this the next detection would predict every track forward across the whole gap.
+     */
+    hold(timestamp = Date.now()) {
+        this.lastTimestamp = timestamp;
+        this.tracks.forEach(track => {
+            track.vx = 0;
+            track.vy = 0;
+        });
+    }
+
+    /**
+     * Advance all tracks to this frame and fold in its detections; returns the tracked books
+     */
+    update(detections, timestamp = Date.now()) {
+        const dt = this.lastTimestamp !== null ? Math.max(1, timestamp - this.lastTimestamp) : 0;
+        this.lastTimestamp = timestamp;
+
+        // Constant-velocity prediction
+        this.tracks.forEach(track => {
+            track.x += track.vx * dt;
+            track.y += track.vy * dt;
+        });
+
+        const { matches, unmatchedTracks, unmatchedDetections } = this.associate(this.tracks, detections);
+
+        matches.forEach(({ track, detection }) => this.correct(track, detection, dt));
+
+        unmatchedTracks.forEach(track => {
+            track.misses++;
+            track.confidence *= this.config.missDecay;
+            track.vx *= 0.5;
+            track.vy *= 0.5;
+        });
+
+        unmatchedDetections.forEach(detection => this.tracks.push(this.createTrack(detection)));
+
+        // Death: tentative tracks die on their first miss, confirmed ones after maxMisses
+        this.tracks = this.tracks.filter(track =>
+            track.hits >= this.config.minHits ?
+                track.misses <= this.config.maxMisses :
+                track.misses === 0
+        );
+
+        return this.getBooks();
+    }
+
+    createTrack(detection) {
+        return {
+            id: `book_${this.nextId++}`,
+            x: detection.x,
+            y: detection.y,
+            width: detection.width,
+            height: detection.height,
+            vx: 0,
+            vy: 0,
+            hits: 1,
+            misses: 0,
+            age: 0,
+            confidence: detection.confidence || 0.5,
+            detection
+        };
+    }
+
+    /**
+     * Alpha-beta update of position, velocity and size from a matched detection
+     */
+    correct(track, detection, dt) {
+        const { positionGain, velocityGain, sizeGain } = this.config;
+        const rx = detection.x - track.x;
+        const ry = detection.y - track.y;
+
+        if (track.hits === 1 && dt > 0) {
+            // Second sighting: the displacement is the velocity; the filter would take many frames to learn it
+            track.x = detection.x;
+            track.y = detection.y;
+            track.vx = rx / dt;
+            track.vy = ry / dt;
+        } else {
+            track.x += positionGain * rx;
+            track.y += positionGain * ry;
+            if (dt > 0) {
+                track.vx += velocityGain * rx / dt;
+                track.vy += velocityGain * ry / dt;
+            }
+        }
+        track.width += sizeGain * (detection.width - track.width);
+        track.height += sizeGain * (detection.height - track.height);
+
+        track.confidence = track.confidence * 0.7 + (detection.confidence || 0.5) * 0.3;
+        track.hits++;
+        track.misses = 0;
+        track.age++;
+        track.detection = detection;
+    }
+
+    /**
+     * Optimal one-to-one assignment on 1 - IoU, discarding pairs that barely overlap
+     */
+    associate(tracks, detections) {
+        const matches = [];
+        const matchedTracks = new Set();
+        const matchedDetections = new Set();
+
+        if (tracks.length > 0 && detections.length > 0) {
+            const costs = tracks.map(track => detections.map(detection => 1 - intersectionOverUnion(track, detection)));
+            const assignment = this.solveAssignment(costs);
+
+            assignment.forEach((detectionIndex, trackIndex) => {
+                if (detectionIndex < 0 || 1 - costs[trackIndex][detectionIndex] < this.config.minIoU) return;
+                matches.push({ track: tracks[trackIndex], detection: detections[detectionIndex] });
+                matchedTracks.add(trackIndex);
+                matchedDetections.add(detectionIndex);
+            });
+        }
+
+        return {
+            matches,
+            unmatchedTracks: tracks.filter((track, i) => !matchedTracks.has(i)),
+            unmatchedDetections: detections.filter((detection, i) => !matchedDetections.has(i))
+        };
+    }
+
+    /**
+     * Hungarian algorithm (potentials form) on a rows x cols cost matrix, padded to square.
+     * Returns the column assigned to each row, or -1 for padding.
+     */
+    solveAssignment(costs) {
+        const rows = costs.length;
+        const cols = costs[0].length;
+        const n = Math.max(rows, cols);
+        const cost = (i, j) => (i < rows && j < cols ? costs[i][j] : 1);
+
+        const u = new Array(n + 1).fill(0);
+        const v = new Array(n + 1).fill(0);
+        const p = new Array(n + 1).fill(0);    // p[j]: row matched to column j (1-based)
+        const way = new Array(n + 1).fill(0);
+
+        for (let i = 1; i <= n; i++) {
+            p[0] = i;
+            let j0 = 0;
+            const minv = new Array(n + 1).fill(Infinity);
+            const used = new Array(n + 1).fill(false);
+
+            do {
+                used[j0] = true;
+                const i0 = p[j0];
+                let delta = Infinity;
+                let j1 = 0;
+
+                for (let j = 1; j <= n; j++) {
+                    if (used[j]) continue;
+                    const reduced = cost(i0 - 1, j - 1) - u[i0] - v[j];
+                    if (reduced < minv[j]) {
+                        minv[j] = reduced;
+                        way[j] = j0;
+                    }
+                    if (minv[j] < delta) {
+                        delta = minv[j];
+                        j1 = j;
+                    }
+                }
+
+                for (let j = 0; j <= n; j++) {
+                    if (used[j]) {
+                        u[p[j]] += delta;
+                        v[j] -= delta;
+                    } else {
+                        minv[j] -= delta;
+                    }
+                }
+                j0 = j1;
+            } while (p[j0] !== 0);
+
+            do {
+                const j1 = way[j0];
+                p[j0] = p[j1];
+                j0 = j1;
+            } while (j0);
+        }
+
+        const assignment = new Array(rows).fill(-1);
+        for (let j = 1; j <= n; j++) {
+            if (p[j] - 1 < rows && j - 1 < cols) assignment[p[j] - 1] = j - 1;
+        }
+        return assignment;
+    }
+
+    /**
+     * Live tracks as books: the latest detection's fields with the filtered box and a stable id
+     */
+    getBooks() {
+        return this.tracks.map(track => ({
+            ...track.detection,
+            id: track.id,
+            detectionId: track.detection.id,
+            // Oriented outlines move with the filtered box
+            corners: track.detection.corners && track.detection.corners.map(point => ({
+                x: point.x + track.x - track.detection.x,
+                y: point.y + track.y - track.detection.y
+            })),
+            x: track.x,
+            y: track.y,
+            width: track.width,
+            height: track.height,
+            vx: track.vx,
+            vy: track.vy,
+            confidence: track.confidence,
+            stable: track.hits >= this.config.minHits,
+            trackAge: track.age,
+            misses: track.misses
+        }));
+    }
+}
+
+export default BookTracker;
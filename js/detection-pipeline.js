@@ -0,0 +1,211 @@
+/**
+ * Detection Pipeline Module
+ * Captures frames and hands them to the detection worker, dropping frames while it is busy
+ */
+
+import BookDetectionController from './book-detection-controller.js';
+
+class DetectionPipeline {
+    constructor() {
+        this.worker = null;
+        this.controller = null;       // Inline controller when workers are unavailable
+        this.busy = false;
+        this.nextFrameId = 1;
+        this.nextCallId = 1;
+        this.pending = new Map();     // frameId / callId -> { resolve, reject }, plus method and args for calls
+        this.canvas = null;
+        this.ctx = null;
+
+        // Controller settings the worker has applied; an inline controller taking over gets them replayed
+        this.CONFIG_METHODS = new Set([
+            'setPreprocessing', 'setRectification', 'setDetectorEnabled', 'setEnsembleMode',
+            'setAestheticMode', 'setShelfSpec', 'setShelfWidthReference',
+            'pinBook', 'unpinBook', 'addBookGroup', 'removeBookGroup', 'setSortOrder'
+        ]);
+        this.configCalls = [];
+        this.scanActive = false;
+        this.scanRestarted = false;   // Stitched scan frames died with the worker; reported with the next result
+
+        this.stats = {
+            submitted: 0,
+            dropped: 0,
+            completed: 0
+        };
+
+        this.startWorker();
+    }
+
+    startWorker() {
+        const supported = typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+
+        if (supported) {
+            try {
+                this.worker = new Worker(new URL('./detection-worker.js', import.meta.url), { type: 'module' });
+                this.worker.onmessage = (event) => this.handleMessage(event.data);
+                this.worker.onerror = (event) => this.handleWorkerFailure(event.message);
+                console.log('🧵 Detection running in a Web Worker');
+                return;
+            } catch (error) {
+                console.warn('⚠️ Detection worker unavailable, running inline:', error.message);
+            }
+        }
+
+        this.useInline();
+    }
+
+    useInline() {
+        this.worker = null;
+        this.controller = this.controller || new BookDetectionController();
+        console.log('🧵 Detection running on the main thread');
+    }
+
+    /**
+     * A worker that fails (e.g. no module worker support) falls back to inline detection,
+     * with the settings the worker had applied and the calls still waiting on it
+     */
+    handleWorkerFailure(message) {
+        console.warn('⚠️ Detection worker failed, running inline:', message);
+        if (this.worker) this.worker.terminate();
+        this.useInline();
+        this.restoreConfiguration();
+
+        this.pending.forEach(request => {
+            if (request.method) {
+                Promise.resolve()
+                    .then(() => this.controller[request.method](...request.args))
+                    .then(request.resolve, request.reject);
+            } else {
+                request.reject(new Error('Detection worker failed'));
+            }
+        });
+        this.pending.clear();
+        this.busy = false;
+    }
+
+    /**
+     * Replay the worker's settings onto the inline controller. A scan in progress starts over:
+     * the frames stitched so far were held by the worker.
+     */
+    restoreConfiguration() {
+        this.configCalls.forEach(({ method, args }) => this.controller[method](...args));
+        console.log(`🔁 Restored ${this.configCalls.length} detection settings on the main thread`);
+
+        if (this.scanActive) {
+            this.controller.startScan();
+            this.scanRestarted = true;
+        }
+    }
+
+    recordCall(method, args) {
+        if (method === 'startScan') {
+            this.scanActive = true;
+        } else if (method === 'finishScan') {
+            this.scanActive = false;
+        } else if (this.CONFIG_METHODS.has(method)) {
+            this.configCalls.push({ method, args });
+        }
+    }
+
+    handleMessage(message) {
+        const key = message.type === 'reply' || message.callId !== undefined ?
+            `call:${message.callId}` :
+            `frame:${message.frameId}`;
+        const request = this.pending.get(key);
+        if (!request) return;
+        this.pending.delete(key);
+
+        if (message.type === 'error') {
+            request.reject(new Error(message.message));
+            return;
+        }
+
+        if (message.type === 'reply') this.recordCall(request.method, request.args);
+        request.resolve(message.type === 'reply' ? message.value : message.results);
+    }
+
+    /**
+     * Detect books in the current video frame. Resolves null when the frame was dropped
+     * because the previous one is still being processed.
+     */
+    async submit(video) {
+        if (this.busy) {
+            this.stats.dropped++;
+            return null;
+        }
+
+        this.busy = true;
+        this.stats.submitted++;
+        const started = performance.now();
+
+        try {
+            const results = this.worker ?
+                await this.detectInWorker(video, started) :
+                await this.detectInline(video, started);
+
+            results.timings = {
+                ...results.timings,
+                total: performance.now() - started
+            };
+            this.stats.completed++;
+            results.pipeline = { ...this.stats, inWorker: Boolean(this.worker), scanRestarted: this.scanRestarted };
+            if (!results.discarded) this.scanRestarted = false;
+            return results;
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    async detectInWorker(video, started) {
+        // The bitmap is transferred, not copied; the worker reads its pixels on an OffscreenCanvas
+        const bitmap = await createImageBitmap(video);
+        const captureMs = performance.now() - started;
+        const frameId = this.nextFrameId++;
+
+        const results = await new Promise((resolve, reject) => {
+            this.pending.set(`frame:${frameId}`, { resolve, reject });
+            this.worker.postMessage({ type: 'frame', frameId, bitmap }, [bitmap]);
+        });
+
+        results.timings = { ...results.timings, capture: captureMs };
+        return results;
+    }
+
+    async detectInline(video, started) {
+        const imageData = this.captureFrame(video);
+        const captureMs = performance.now() - started;
+
+        const results = await this.controller.detectBooks(imageData);
+        results.timings = { ...results.timings, capture: captureMs };
+        return results;
+    }
+
+    captureFrame(video) {
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+            this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        }
+        this.canvas.width = video.videoWidth;
+        this.canvas.height = video.videoHeight;
+        this.ctx.drawImage(video, 0, 0);
+        return this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    /**
+     * Call a BookDetectionController method wherever the controller lives
+     */
+    async call(method, ...args) {
+        if (!this.worker) {
+            return this.controller[method](...args);
+        }
+
+        const callId = this.nextCallId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(`call:${callId}`, { resolve, reject, method, args });
+            this.worker.postMessage({ type: 'call', callId, method, args });
+        });
+    }
+}
+
+export default DetectionPipeline;
@@ -0,0 +1,59 @@
+/**
+ * Detection Worker
+ * Runs frame decoding and the full detection pipeline off the main thread
+ */
+
+import BookDetectionController from './book-detection-controller.js';
+
+const controller = new BookDetectionController();
+let canvas = null;
+let ctx = null;
+
+/**
+ * Pixels from a transferred ImageBitmap (drawn on an OffscreenCanvas) or a transferred RGBA buffer
+ */
+function decodeFrame(message) {
+    if (message.bitmap) {
+        const { width, height } = message.bitmap;
+        if (!canvas || canvas.width !== width || canvas.height !== height) {
+            canvas = new OffscreenCanvas(width, height);
+            ctx = canvas.getContext('2d', { willReadFrequently: true });
+        }
+        ctx.drawImage(message.bitmap, 0, 0);
+        message.bitmap.close();
+        return ctx.getImageData(0, 0, width, height);
+    }
+
+    return new ImageData(new Uint8ClampedArray(message.buffer), message.width, message.height);
+}
+
+async function handleFrame(message) {
+    const started = performance.now();
+    const imageData = decodeFrame(message);
+    const decodeMs = performance.now() - started;
+
+    const results = await controller.detectBooks(imageData);
+    results.timings = { ...results.timings, decode: decodeMs };
+
+    self.postMessage({ type: 'result', frameId: message.frameId, results });
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    try {
+        if (message.type === 'frame') {
+            await handleFrame(message);
+        } else if (message.type === 'call') {
+            const value = await controller[message.method](...message.args);
+            self.postMessage({ type: 'reply', callId: message.callId, value });
+        }
+    } catch (error) {
+        self.postMessage({
+            type: 'error',
+            frameId: message.frameId,
+            callId: message.callId,
+            message: error.message
+        });
+    }
+};
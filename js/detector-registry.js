@@ -0,0 +1,157 @@
+/**
+ * Detector Registry
+ * Pluggable book detectors behind one contract, tried in priority or fallback-chain order
+ */
+
+class DetectorRegistry {
+    constructor() {
+        this.detectors = new Map();   // name -> { detector, priority, enabled }
+        this.chains = new Map();      // chain name -> [detector names]
+        this.activeChain = null;      // null tries every enabled detector by priority
+    }
+
+    /**
+     * Add a detector. It must provide async detect(imageData) returning books, and may provide
+     * label, capabilities (e.g. ['spines', 'shelves', 'colors']), cost (relative) and async isAvailable()
+     */
+    register(name, detector, { priority = 0, enabled = true } = {}) {
+        if (!detector || typeof detector.detect !== 'function') {
+            throw new Error(`Detector ${name} must implement detect(imageData)`);
+        }
+
+        this.detectors.set(name, { detector, priority, enabled });
+        console.log(`🧩 Detector registered: ${name} (priority ${priority})`);
+    }
+
+    unregister(name) {
+        this.detectors.delete(name);
+        this.chains.forEach((names, chain) => this.chains.set(chain, names.filter(n => n !== name)));
+    }
+
+    setEnabled(name, enabled) {
+        const entry = this.getEntry(name);
+        entry.enabled = enabled;
+        console.log(`🧩 Detector ${name} ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    enable(name) {
+        this.setEnabled(name, true);
+    }
+
+    disable(name) {
+        this.setEnabled(name, false);
+    }
+
+    setPriority(name, priority) {
+        this.getEntry(name).priority = priority;
+    }
+
+    /**
+     * Name an ordered fallback chain, e.g. setChain('offline', ['fallback'])
+     */
+    setChain(chainName, detectorNames) {
+        detectorNames.forEach(name => this.getEntry(name));
+        this.chains.set(chainName, [...detectorNames]);
+    }
+
+    /**
+     * Use a named chain for detection, or null to go by priority
+     */
+    useChain(chainName) {
+        if (chainName !== null && !this.chains.has(chainName)) {
+            throw new Error(`Unknown detector chain: ${chainName}`);
+        }
+        this.activeChain = chainName;
+    }
+
+    getEntry(name) {
+        const entry = this.detectors.get(name);
+        if (!entry) {
+            throw new Error(`Unknown detector: ${name}`);
+        }
+        return entry;
+    }
+
+    /**
+     * Enabled detector names in the order they will be tried
+     */
+    getOrder(chainName = this.activeChain) {
+        if (chainName !== null && !this.chains.has(chainName)) {
+            throw new Error(`Unknown detector chain: ${chainName}`);
+        }
+
+        const names = chainName !== null ?
+            this.chains.get(chainName) :
+            [...this.detectors.keys()].sort((a, b) =>
+                this.detectors.get(b).priority - this.detectors.get(a).priority ||
+                this.getCost(a) - this.getCost(b)
+            );
+
+        return names.filter(name => this.detectors.has(name) && this.detectors.get(name).enabled);
+    }
+
+    getCost(name) {
+        const cost = this.detectors.get(name).detector.cost;
+        return typeof cost === 'number' ? cost : 0;
+    }
+
+    async isAvailable(detector) {
+        if (typeof detector.isAvailable !== 'function') return true;
+
+        try {
+            return await detector.isAvailable();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Run the first available detector that succeeds, falling through the chain on errors
+     */
+    async detect(imageData, { chain = this.activeChain } = {}) {
+        const attempts = [];
+
+        for (const name of this.getOrder(chain)) {
+            const { detector } = this.detectors.get(name);
+
+            if (!(await this.isAvailable(detector))) {
+                attempts.push({ name, error: 'unavailable' });
+                continue;
+            }
+
+            try {
+                const books = await detector.detect(imageData);
+                return {
+                    books,
+                    name,
+                    label: detector.label || name,
+                    capabilities: detector.capabilities || [],
+                    detector,
+                    attempts
+                };
+            } catch (error) {
+                console.warn(`⚠️ Detector ${name} failed, trying next:`, error.message);
+                attempts.push({ name, error: error.message });
+            }
+        }
+
+        const tried = attempts.map(attempt => `${attempt.name}: ${attempt.error}`).join('; ');
+        throw new Error(`No detector succeeded${tried ? ` (${tried})` : ''}`);
+    }
+
+    /**
+     * Registered detectors and their state, for settings or debugging
+     */
+    list() {
+        return [...this.detectors.entries()].map(([name, entry]) => ({
+            name,
+            label: entry.detector.label || name,
+            priority: entry.priority,
+            enabled: entry.enabled,
+            cost: this.getCost(name),
+            capabilities: entry.detector.capabilities || []
+        }));
+    }
+}
+
+export default DetectorRegistry;
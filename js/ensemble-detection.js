@@ -0,0 +1,171 @@
+/**
+ * Ensemble Detection Module
+ * Runs several detectors on the same frame and fuses their boxes into one book list with provenance
+ */
+
+import { intersectionOverUnion } from './geometry.js';
+
+class EnsembleDetection {
+    /**
+     * members: [{ name, detector, weight }]; weight scales how much a source's confidence counts
+     */
+    constructor(members = []) {
+        this.members = members.map(member => ({ weight: 1, ...member }));
+
+        this.config = {
+            matchIoU: 0.3,              // Boxes overlapping this much are the same spine
+            singleSourcePenalty: 0.8,   // Confidence factor for spines only one detector saw
+            minConfidence: 0.25         // Drop fused books below this
+        };
+
+        // Detector contract (see DetectorRegistry)
+        this.label = 'Ensemble';
+        this.cost = this.members.reduce((sum, member) => sum + (member.detector.cost || 0), 0);
+        this.lastShelves = [];
+        this.lastSources = [];
+    }
+
+    get capabilities() {
+        const all = this.members.map(member => member.detector.capabilities || []);
+        const union = [...new Set(all.flat())];
+
+        // Per-book extras only hold if every source provides them
+        return union.filter(capability => capability !== 'colors' || all.every(list => list.includes('colors')));
+    }
+
+    async isAvailable() {
+        const available = await Promise.all(this.members.map(member => this.isMemberAvailable(member)));
+        return available.some(Boolean);
+    }
+
+    async isMemberAvailable(member) {
+        if (typeof member.detector.isAvailable !== 'function') return true;
+
+        try {
+            return await member.detector.isAvailable();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async detect(imageData) {
+        console.log('🤝 Running ensemble detection:', this.members.map(member => member.name).join(' + '));
+
+        const runs = await Promise.all(this.members.map(async member => {
+            if (!(await this.isMemberAvailable(member))) {
+                return { member, books: null, error: 'unavailable' };
+            }
+            try {
+                return { member, books: await member.detector.detect(imageData), error: null };
+            } catch (error) {
+                return { member, books: null, error: error.message };
+            }
+        }));
+
+        const succeeded = runs.filter(run => run.books);
+        this.lastSources = runs.map(run => ({
+            name: run.member.name,
+            count: run.books ? run.books.length : 0,
+            error: run.error
+        }));
+
+        if (succeeded.length === 0) {
+            throw new Error(`Ensemble: every detector failed (${runs.map(run => `${run.member.name}: ${run.error}`).join('; ')})`);
+        }
+
+        const withShelves = succeeded.find(run => (run.member.detector.capabilities || []).includes('shelves'));
+        this.lastShelves = withShelves ? withShelves.member.detector.lastShelves || [] : [];
+
+        const books = this.fuse(succeeded);
+        console.log('🤝 Ensemble fused books:', books.length, this.lastSources);
+        return books;
+    }
+
+    /**
+     * Greedy IoU matching of each source's boxes into clusters, then one fused book per cluster
+     */
+    fuse(runs) {
+        const clusters = [];
+
+        runs.forEach(run => {
+            const claimed = new Set();
+
+            // Best overlaps first so a strong match is never stolen by a weaker one
+            const pairs = [];
+            run.books.forEach(book => {
+                clusters.forEach((cluster, clusterIndex) => {
+                    if (cluster.entries.some(entry => entry.member === run.member)) return;
+                    const iou = intersectionOverUnion(book, this.clusterBox(cluster));
+                    if (iou >= this.config.matchIoU) pairs.push({ book, clusterIndex, iou });
+                });
+            });
+            pairs.sort((a, b) => b.iou - a.iou);
+
+            const matchedBooks = new Set();
+            pairs.forEach(({ book, clusterIndex }) => {
+                if (matchedBooks.has(book) || claimed.has(clusterIndex)) return;
+                clusters[clusterIndex].entries.push({ member: run.member, book });
+                matchedBooks.add(book);
+                claimed.add(clusterIndex);
+            });
+
+            run.books
+                .filter(book => !matchedBooks.has(book))
+                .forEach(book => clusters.push({ entries: [{ member: run.member, book }] }));
+        });
+
+        return clusters
+            .map(cluster => this.fuseCluster(cluster, runs.length))
+            .filter(book => book.confidence >= this.config.minConfidence)
+            .sort((a, b) => (a.shelfIndex || 0) - (b.shelfIndex || 0) || a.x - b.x)
+            .map((book, index) => ({ ...book, id: `ensemble_book_${index}` }));
+    }
+
+    fuseCluster(cluster, sourceCount) {
+        const weightOf = entry => (entry.book.confidence || 0) * entry.member.weight;
+        const totalWeight = cluster.entries.reduce((sum, entry) => sum + weightOf(entry), 0) || 1;
+        const average = key => cluster.entries.reduce((sum, entry) => sum + entry.book[key] * weightOf(entry), 0) / totalWeight;
+
+        // Independent sources agreeing: noisy-OR of their weighted confidences
+        let confidence = 1 - cluster.entries.reduce((product, entry) => product * (1 - Math.min(1, weightOf(entry))), 1);
+        if (cluster.entries.length === 1 && sourceCount > 1) {
+            confidence *= this.config.singleSourcePenalty;
+        }
+
+        const strongest = [...cluster.entries].sort((a, b) => weightOf(b) - weightOf(a))[0].book;
+        const withShelf = cluster.entries.find(entry => entry.book.shelfIndex !== undefined);
+        const withColor = cluster.entries.find(entry => entry.book.dominantColor);
+        const box = { x: average('x'), y: average('y'), width: average('width'), height: average('height') };
+
+        return {
+            ...strongest,
+            ...box,
+            corners: strongest.corners && strongest.corners.map(point => ({
+                x: point.x + box.x - strongest.x,
+                y: point.y + box.y - strongest.y
+            })),
+            confidence,
+            spineArea: box.width * box.height,
+            estimatedThickness: box.width * 0.6,
+            shelfIndex: withShelf ? withShelf.book.shelfIndex : undefined,
+            dominantColor: withColor ? withColor.book.dominantColor : undefined,
+            detectionMethod: 'Ensemble',
+            agreement: cluster.entries.length / sourceCount,
+            sources: cluster.entries.map(entry => ({
+                detector: entry.member.name,
+                id: entry.book.id,
+                confidence: entry.book.confidence,
+                box: { x: entry.book.x, y: entry.book.y, width: entry.book.width, height: entry.book.height },
+                evidence: entry.book.rawDetection || entry.book.rawData || null
+            }))
+        };
+    }
+
+    clusterBox(cluster) {
+        const books = cluster.entries.map(entry => entry.book);
+        const average = key => books.reduce((sum, book) => sum + book[key], 0) / books.length;
+        return { x: average('x'), y: average('y'), width: average('width'), height: average('height') };
+    }
+}
+
+export default EnsembleDetection;
@@ -24,12 +24,33 @@ class FallbackDetection {
             verticalEdgeWeight: 0.8,
             colorDifferenceWeight: 0.2,
             minEdgeSeparation: 12,
-            confidenceThreshold: 0.4
+            confidenceThreshold: 0.4,
+            maxTilt: 20,                // Steepest lean searched for, in degrees from vertical
+            tiltStep: 4,
+            minLineSupport: 0.5,        // Share of samples along a line that must sit on an edge
+            maxEdgeAngleDifference: 8,  // A book's two spine edges must be roughly parallel
+            minFlatLength: 0.4,         // Flat book length as a share of shelf height
+            maxFlatLength: 2.0,
+            plankEdgeThreshold: 25,     // Horizontal edge strength that can mark a plank boundary
+            minPlankCoverage: 0.6,      // Share of the frame width a plank edge must run across
+            maxPlankGap: 24,            // Longest break (px) in a plank edge before the plank is taken to end
+            minClearHeight: 0.15        // Smallest shelf opening, as a share of frame height
         };
         
+        this.lastShelves = [];
+
+        // Detector contract (see DetectorRegistry)
+        this.label = 'Fallback';
+        this.capabilities = ['spines', 'shelves', 'colors'];
+        this.cost = 1;
+        
         console.log('📚 Using dimension ranges:', { spine: spineRange, height: heightRange });
     }
 
+    async detect(imageData) {
+        return this.detectBooks(imageData);
+    }
+
     detectBooks(imageData) {
         console.log('🔄 Using enhanced fallback detection...');
         
@@ -39,6 +60,7 @@ class FallbackDetection {
         
         // Step 1: Detect shelf regions
         const shelves = this.detectShelves(data, width, height);
+        this.lastShelves = shelves;
         console.log('📚 Detected shelves:', shelves.length);
         
         let allBooks = [];
@@ -76,148 +98,142 @@ class FallbackDetection {
         return books;
     }
 
+    /**
+     * Shelf openings between planks. Plank edges run straight across most of the frame,
+     * while the tops of books are ragged; each opening is bounded by the planks above and below.
+     */
     detectShelves(data, width, height) {
-        // Detect horizontal shelf lines
-        const shelves = [];
-        const step = 4;
-        
-        for (let y = height * 0.1; y < height * 0.9; y += step) {
-            let horizontalEdgeStrength = 0;
+        const step = 2;
+        const xStep = 8;
+        const edges = [];
+        let run = null;
+        
+        for (let y = step; y < height - step; y += step) {
+            let covered = 0;
+            let totalStrength = 0;
             let samples = 0;
             
-            for (let x = width * 0.1; x < width * 0.9; x += step * 2) {
-                const idx = (y * width + x) * 4;
-                const aboveIdx = ((y - step) * width + x) * 4;
-                const belowIdx = ((y + step) * width + x) * 4;
-                
-                if (aboveIdx >= 0 && belowIdx < data.length) {
-                    const aboveGray = (data[aboveIdx] + data[aboveIdx + 1] + data[aboveIdx + 2]) / 3;
-                    const belowGray = (data[belowIdx] + data[belowIdx + 1] + data[belowIdx + 2]) / 3;
-                    const edgeStrength = Math.abs(aboveGray - belowGray);
-                    
-                    horizontalEdgeStrength += edgeStrength;
-                    samples++;
-                }
+            for (let x = Math.round(width * 0.1); x < width * 0.9; x += xStep) {
+                const edgeStrength = this.calculateHorizontalEdgeStrength(data, width, x, y, step);
+                if (edgeStrength > this.config.plankEdgeThreshold) covered++;
+                totalStrength += edgeStrength;
+                samples++;
             }
             
-            if (samples > 0) {
-                const avgStrength = horizontalEdgeStrength / samples;
-                if (avgStrength > 15) {
-                    shelves.push({
-                        y: y,
-                        strength: avgStrength,
-                        topY: Math.max(0, y - 100),
-                        bottomY: Math.min(height, y + 100)
-                    });
-                }
+            const coverage = samples > 0 ? covered / samples : 0;
+            if (coverage >= this.config.minPlankCoverage) {
+                // Consecutive rows belong to one edge; keep its coverage-weighted centre
+                run = run || { weight: 0, sumY: 0, strength: 0 };
+                run.weight += coverage;
+                run.sumY += y * coverage;
+                run.strength = Math.max(run.strength, totalStrength / samples);
+            } else if (run) {
+                edges.push({ y: run.sumY / run.weight, strength: run.strength });
+                run = null;
             }
         }
+        if (run) edges.push({ y: run.sumY / run.weight, strength: run.strength });
+        
+        // Openings are the tall gaps between edges; thin gaps are planks
+        const bounds = [{ y: 0, strength: 0, frame: true }, ...edges, { y: height, strength: 0, frame: true }];
+        const minClear = height * this.config.minClearHeight;
+        const shelves = [];
+        
+        for (let i = 0; i < bounds.length - 1; i++) {
+            const top = bounds[i];
+            const bottom = bounds[i + 1];
+            if (bottom.y - top.y < minClear) continue;
+            
+            const plankAbove = i > 0 && top.y - bounds[i - 1].y < minClear ? bounds[i - 1] : null;
+            const plankBelow = i + 2 < bounds.length && bounds[i + 2].y - bottom.y < minClear ? bounds[i + 2] : null;
+            
+            shelves.push({
+                y: bottom.y,
+                strength: Math.max(top.strength, bottom.strength),
+                topY: top.y,
+                bottomY: bottom.y,
+                clearHeight: bottom.y - top.y,
+                topPlank: top.frame ? null : {
+                    topY: plankAbove ? plankAbove.y : top.y,
+                    bottomY: top.y,
+                    ...this.measurePlankExtent(data, width, height, top.y, step, xStep)
+                },
+                bottomPlank: bottom.frame ? null : {
+                    topY: bottom.y,
+                    bottomY: plankBelow ? plankBelow.y : bottom.y,
+                    ...this.measurePlankExtent(data, width, height, bottom.y, step, xStep)
+                }
+            });
+        }
         
         // If no clear shelves detected, create default regions
-        if (shelves.length === 0) {
+        if (edges.length === 0 || shelves.length === 0) {
             return [
-                { y: height * 0.25, topY: 0, bottomY: height * 0.5, strength: 10 },
-                { y: height * 0.75, topY: height * 0.5, bottomY: height, strength: 10 }
+                { y: height * 0.25, topY: 0, bottomY: height * 0.5, clearHeight: height * 0.5, strength: 10, topPlank: null, bottomPlank: null },
+                { y: height * 0.75, topY: height * 0.5, bottomY: height, clearHeight: height * 0.5, strength: 10, topPlank: null, bottomPlank: null }
             ];
         }
         
-        // Sort by y position and merge close shelves
-        return this.mergeShelves(shelves.sort((a, b) => a.y - b.y));
-    }
-    
-    mergeShelves(shelves) {
-        const merged = [];
-        let current = shelves[0];
-        
-        for (let i = 1; i < shelves.length; i++) {
-            if (shelves[i].y - current.y < 80) {
-                // Merge close shelves
-                current.strength = Math.max(current.strength, shelves[i].strength);
-                current.bottomY = shelves[i].bottomY;
-            } else {
-                merged.push(current);
-                current = shelves[i];
-            }
-        }
-        merged.push(current);
-        
-        return merged;
+        return shelves;
     }
     
     detectBooksInShelf(data, width, height, shelf, shelfIndex) {
         const books = [];
-        const step = this.config.sampleStep;
-        const shelfTop = shelf.topY;
         const shelfBottom = shelf.bottomY;
-        const shelfHeight = shelfBottom - shelfTop;
         
-        // Find vertical edges within this shelf region
-        const verticalEdges = [];
-        
-        for (let x = step; x < width - step; x += step) {
-            let totalEdgeStrength = 0;
-            let samples = 0;
-            
-            // Sample within shelf bounds
-            for (let y = shelfTop + shelfHeight * 0.1; y < shelfBottom - shelfHeight * 0.1; y += step) {
-                const edgeStrength = this.calculateVerticalEdgeStrength(data, width, x, y, step);
-                if (edgeStrength > 0) {
-                    totalEdgeStrength += edgeStrength;
-                    samples++;
-                }
-            }
-            
-            if (samples > 0) {
-                const avgStrength = totalEdgeStrength / samples;
-                // Much stricter threshold to prevent over-detection
-                if (avgStrength > this.config.edgeThreshold && samples > 3) {
-                    verticalEdges.push({
-                        x: x,
-                        strength: avgStrength,
-                        shelfIndex: shelfIndex,
-                        samples: samples
-                    });
-                }
-            }
-        }
+        // Find straight spine edges (upright or leaning) within this shelf region
+        const spineEdges = this.findSpineLines(data, width, shelf, shelfIndex);
         
         // Filter edges and create books
-        const filteredEdges = this.filterVerticalEdges(verticalEdges);
-        console.log(`📏 Shelf ${shelfIndex + 1} found ${filteredEdges.length} vertical edges`);
+        const filteredEdges = this.filterVerticalEdges(spineEdges);
+        console.log(`📏 Shelf ${shelfIndex + 1} found ${filteredEdges.length} spine edges`);
         
         // Create books from pairs of edges with extensive validation
         for (let i = 0; i < filteredEdges.length - 1; i++) {
             const leftEdge = filteredEdges[i];
             const rightEdge = filteredEdges[i + 1];
-            const bookWidth = rightEdge.x - leftEdge.x;
+            if (Math.abs(leftEdge.angle - rightEdge.angle) > this.config.maxEdgeAngleDifference) continue;
+            
+            // Edge x positions are taken on the shelf's centre line; the spine is narrower when tilted
+            const angle = (leftEdge.angle + rightEdge.angle) / 2;
+            const bookWidth = (rightEdge.x - leftEdge.x) * Math.cos(angle * Math.PI / 180);
             
             if (this.isValidBookWidth(bookWidth)) {
                 const confidence = this.calculateBookConfidenceFromEdges(leftEdge, rightEdge, bookWidth);
                 
                 // Multiple validation layers including dimension database
-                const dimensionConfidence = this.dimensionsDB.getDimensionConfidence(bookWidth, shelfHeight * 0.85, bookWidth);
+                // Books stand on the lower plank; their height runs up to the top of the spine
+                const topY = this.findSpineTop(data, width, shelf, leftEdge, rightEdge, angle);
+                const bookHeight = (shelfBottom - topY) / Math.cos(angle * Math.PI / 180);
+                const dimensionConfidence = this.dimensionsDB.getDimensionConfidence(bookWidth, bookHeight, bookWidth);
                 const finalConfidence = confidence * dimensionConfidence;
                 
                 if (finalConfidence > this.config.confidenceThreshold &&
-                    this.validateBookRegion(leftEdge.x, shelfTop, bookWidth, shelfHeight, leftEdge, rightEdge)) {
+                    this.validateBookRegion(leftEdge.x, topY, bookWidth, bookHeight, leftEdge, rightEdge)) {
                     
+                    const box = this.buildOrientedBox(leftEdge.x, rightEdge.x, angle, shelf, bookWidth, bookHeight);
                     const book = {
                         id: `fallback_s${shelfIndex}_b${books.length}`,
-                        x: leftEdge.x,
-                        y: shelfTop,
-                        width: bookWidth,
-                        height: shelfHeight * 0.85,
+                        x: box.x,
+                        y: box.y,
+                        width: box.width,
+                        height: box.height,
+                        angle: angle,
+                        corners: box.corners,
+                        spineWidth: bookWidth,
+                        spineLength: bookHeight,
                         confidence: finalConfidence,
-                        dimensionValidation: this.dimensionsDB.validateBookDimensions(bookWidth, shelfHeight * 0.85, bookWidth),
+                        dimensionValidation: this.dimensionsDB.validateBookDimensions(bookWidth, bookHeight, bookWidth),
                         title: `Book ${books.length + 1}`,
                         isReal: true,
-                        spineArea: bookWidth * shelfHeight * 0.85,
+                        spineArea: bookWidth * bookHeight,
                         estimatedThickness: bookWidth * 0.6,
-                        canRotate: shelfHeight < bookWidth * 3,
-                        canStack: shelfHeight > 100 && bookWidth < 30,
-                        volumeEfficiency: this.calculateVolumeEfficiency(bookWidth, shelfHeight * 0.85),
+                        canRotate: bookHeight < bookWidth * 3,
+                        canStack: bookHeight > 100 && bookWidth < 30,
+                        volumeEfficiency: this.calculateVolumeEfficiency(bookWidth, bookHeight),
                         detectionMethod: 'Fallback_Enhanced_v3',
                         shelfIndex: shelfIndex,
+                        dominantColor: this.getDominantColor(data, width, box),
                         rawData: { leftEdge, rightEdge }
                     };
                     
@@ -228,17 +244,286 @@ class FallbackDetection {
         
         // Final validation: limit books per shelf to realistic numbers
         const maxBooksPerShelf = 20; // Maximum realistic books per shelf
+        let uprightBooks = books;
         if (books.length > maxBooksPerShelf) {
             // Keep only the highest confidence books
-            return books
+            uprightBooks = books
                 .sort((a, b) => b.confidence - a.confidence)
                 .slice(0, maxBooksPerShelf)
                 .sort((a, b) => a.x - b.x); // Re-sort by position
         }
         
+        // Books lying flat in the space the upright ones leave
+        return uprightBooks.concat(this.detectFlatStacks(data, width, shelf, shelfIndex, uprightBooks));
+    }
+    
+    /**
+     * Stacks of books lying flat: columns crossed by several horizontal edges form a stack,
+     * and each gap between consecutive edges is one book's thickness
+     */
+    detectFlatStacks(data, width, shelf, shelfIndex, uprightBooks) {
+        const step = this.config.sampleStep;
+        const shelfHeight = shelf.bottomY - shelf.topY;
+        const top = Math.round(shelf.topY) + step;
+        const bottom = Math.round(shelf.bottomY) - step;
+        const occupied = x => uprightBooks.some(book => x >= book.x && x <= book.x + book.width);
+        
+        // Step 1: count separate horizontal edges down each free column
+        const columns = [];
+        for (let x = step; x < width - step; x += step) {
+            let edges = 0;
+            let inEdge = false;
+            
+            if (!occupied(x)) {
+                for (let y = top; y < bottom; y += step) {
+                    const strong = this.calculateHorizontalEdgeStrength(data, width, x, y, step) > this.config.edgeThreshold;
+                    if (strong && !inEdge) edges++;
+                    inEdge = strong;
+                }
+            }
+            columns.push({ x, edges });
+        }
+        
+        // Step 2: runs of such columns as long as a book lying flat
+        const runs = [];
+        let run = null;
+        columns.forEach(column => {
+            if (column.edges >= 2) {
+                run = run || { startX: column.x, endX: column.x };
+                run.endX = column.x;
+            } else if (run) {
+                runs.push(run);
+                run = null;
+            }
+        });
+        if (run) runs.push(run);
+        
+        const minLength = shelfHeight * this.config.minFlatLength;
+        const maxLength = shelfHeight * this.config.maxFlatLength;
+        const books = [];
+        
+        runs
+            .filter(r => r.endX - r.startX >= minLength && r.endX - r.startX <= maxLength)
+            .forEach((r, stackIndex) => {
+                const stack = this.measureStack(data, width, shelf, shelfIndex, r, `s${shelfIndex}_stack${stackIndex}`);
+                books.push(...stack);
+            });
+        
+        if (books.length > 0) {
+            console.log(`📚 Shelf ${shelfIndex + 1} found ${books.length} flat books`);
+        }
         return books;
     }
     
+    /**
+     * Split one stack into books at the horizontal edges of its middle columns
+     */
+    measureStack(data, width, shelf, shelfIndex, run, stackId) {
+        const step = this.config.sampleStep;
+        const length = run.endX - run.startX;
+        const x0 = Math.round(run.startX + length * 0.25);
+        const x1 = run.endX - length * 0.25;
+        
+        // Row profile: mean horizontal-edge strength across the middle of the stack
+        const profile = [];
+        for (let y = Math.round(shelf.topY) + step; y <= shelf.bottomY + step; y++) {
+            let total = 0;
+            let samples = 0;
+            for (let x = x0; x <= x1; x += step) {
+                total += this.calculateHorizontalEdgeStrength(data, width, x, y, step);
+                samples++;
+            }
+            profile.push({ y, strength: samples > 0 ? total / samples : 0 });
+        }
+        
+        // Local maxima above threshold are the boundaries between books
+        const edges = profile.filter((row, i) =>
+            row.strength > this.config.edgeThreshold &&
+            profile.slice(Math.max(0, i - step), i + step + 1).every(other => other.strength <= row.strength) &&
+            !(i > 0 && profile[i - 1].strength === row.strength)
+        );
+        
+        const books = [];
+        for (let i = 0; i < edges.length - 1; i++) {
+            const topEdge = edges[i];
+            const bottomEdge = edges[i + 1];
+            const thickness = bottomEdge.y - topEdge.y;
+            if (!this.isValidBookWidth(thickness) || this.isContinuousBand(data, width, run, topEdge.y + thickness / 2)) continue;
+            
+            const strengthFactor = Math.min(1, (topEdge.strength + bottomEdge.strength) / 250);
+            const dimensionConfidence = this.dimensionsDB.getDimensionConfidence(thickness, length, thickness);
+            const confidence = Math.min(0.8, strengthFactor * 0.5 + dimensionConfidence * 0.5);
+            if (confidence <= this.config.confidenceThreshold) continue;
+            
+            const box = { x: run.startX, y: topEdge.y, width: length, height: thickness };
+            books.push({
+                id: `fallback_${stackId}_f${books.length}`,
+                ...box,
+                orientation: 'flat',
+                stackId: stackId,
+                thickness: thickness,
+                spineWidth: thickness,
+                spineLength: length,
+                confidence: confidence,
+                dimensionValidation: this.dimensionsDB.validateBookDimensions(thickness, length, thickness),
+                title: `Flat Book ${books.length + 1}`,
+                isReal: true,
+                spineArea: thickness * length,
+                estimatedThickness: thickness * 0.6,
+                canRotate: false,
+                canStack: false,
+                volumeEfficiency: this.calculateVolumeEfficiency(thickness, length),
+                detectionMethod: 'Fallback_Flat',
+                shelfIndex: shelfIndex,
+                dominantColor: this.getDominantColor(data, width, box),
+                rawData: { topEdge, bottomEdge }
+            });
+        }
+        
+        // Level 0 is the book resting on the shelf
+        books.forEach((book, i) => {
+            book.stackLevel = books.length - 1 - i;
+        });
+        return books;
+    }
+    
+    /**
+     * Hough-style line search: for each position on the shelf's centre line, average the edge
+     * strength along straight lines over a fan of tilts and keep the best-supported one.
+     * Angles are degrees from vertical, positive when the top leans right.
+     */
+    findSpineLines(data, width, shelf, shelfIndex) {
+        const step = this.config.sampleStep;
+        const shelfHeight = shelf.bottomY - shelf.topY;
+        const centerY = (shelf.topY + shelf.bottomY) / 2;
+        // Short books only reach part way up the shelf, so look low in the opening
+        const startY = Math.round(shelf.topY + shelfHeight * 0.3);
+        const endY = shelf.bottomY - shelfHeight * 0.05;
+        const angles = this.getTiltAngles();
+        const lines = [];
+        
+        for (let x = step; x < width - step; x += step) {
+            let best = null;
+            
+            for (const angle of angles) {
+                const slope = Math.tan(angle * Math.PI / 180);
+                let totalEdgeStrength = 0;
+                let samples = 0;
+                let taken = 0;
+                let onEdge = 0;
+                
+                for (let y = startY; y < endY; y += step) {
+                    const lineX = Math.round(x + (centerY - y) * slope);
+                    if (lineX < step || lineX >= width - step) continue;
+                    taken++;
+                    
+                    const edgeStrength = this.calculateVerticalEdgeStrength(data, width, lineX, y, step);
+                    if (edgeStrength > 0) {
+                        totalEdgeStrength += edgeStrength;
+                        samples++;
+                    }
+                    if (edgeStrength > this.config.edgeThreshold * 0.5) onEdge++;
+                }
+                
+                // A tilted line cutting across several upright spines picks up strong but scattered samples
+                if (samples <= 3 || onEdge < taken * this.config.minLineSupport) continue;
+                const avgStrength = totalEdgeStrength / samples;
+                
+                // Upright is tried first and only loses to a clearly better tilt
+                if (!best || avgStrength > best.strength * 1.15) {
+                    best = { x, angle, strength: avgStrength, shelfIndex, samples };
+                }
+            }
+            
+            // Much stricter threshold to prevent over-detection
+            if (best && best.strength > this.config.edgeThreshold) {
+                lines.push(best);
+            }
+        }
+        
+        // Peak picking: one line per edge, the strongest nearby (the more upright one on ties)
+        const window = this.config.minEdgeSeparation / 2;
+        const beats = (a, b) => a.strength > b.strength ||
+            (a.strength === b.strength && Math.abs(a.angle) < Math.abs(b.angle)) ||
+            (a.strength === b.strength && Math.abs(a.angle) === Math.abs(b.angle) && a.x < b.x);
+        
+        return lines.filter(line => !lines.some(other =>
+            other !== line && Math.abs(other.x - line.x) <= window && beats(other, line)
+        ));
+    }
+    
+    /**
+     * Top of a spine: the highest strong horizontal edge across the middle of the book.
+     * Title bands and labels sit lower and weaker; a book touching the upper plank has none.
+     */
+    findSpineTop(data, width, shelf, leftEdge, rightEdge, angle) {
+        const step = this.config.sampleStep;
+        const slope = Math.tan(angle * Math.PI / 180);
+        const centerY = (shelf.topY + shelf.bottomY) / 2;
+        const spread = rightEdge.x - leftEdge.x;
+        const lowestTop = shelf.bottomY - (shelf.bottomY - shelf.topY) * 0.2;
+        const profile = [];
+        
+        for (let y = Math.round(shelf.topY) + step * 2; y < lowestTop; y++) {
+            const shift = (centerY - y) * slope;
+            const fromX = Math.round(leftEdge.x + shift + spread * 0.25);
+            const toX = leftEdge.x + shift + spread * 0.75;
+            let total = 0;
+            let samples = 0;
+            
+            for (let x = fromX; x <= toX; x += 2) {
+                if (x < 0 || x >= width) continue;
+                total += this.calculateHorizontalEdgeStrength(data, width, x, y, step);
+                samples++;
+            }
+            profile.push({ y, strength: samples > 0 ? total / samples : 0 });
+        }
+        
+        const strongest = profile.reduce((max, row) => Math.max(max, row.strength), 0);
+        if (strongest < this.config.edgeThreshold * 0.5) return shelf.topY;
+        
+        // The edge is a plateau a few rows tall; its middle is the boundary
+        const first = profile.findIndex(row => row.strength >= strongest * 0.6);
+        let last = first;
+        while (last + 1 < profile.length && profile[last + 1].strength >= strongest * 0.6) last++;
+        return (profile[first].y + profile[last].y) / 2;
+    }
+    
+    getTiltAngles() {
+        const angles = [0];
+        for (let angle = this.config.tiltStep; angle <= this.config.maxTilt; angle += this.config.tiltStep) {
+            angles.push(angle, -angle);
+        }
+        return angles;
+    }
+    
+    /**
+     * Rotated spine rectangle between two edge lines, standing on the shelf's lower plank
+     */
+    buildOrientedBox(leftX, rightX, angle, shelf, spineWidth, spineLength) {
+        const radians = angle * Math.PI / 180;
+        const centerY = shelf.bottomY - spineLength * Math.cos(radians) / 2;
+        const shelfCenterY = (shelf.topY + shelf.bottomY) / 2;
+        const centerX = (leftX + rightX) / 2 + (shelfCenterY - centerY) * Math.tan(radians);
+        
+        // Unit vectors up the spine and across it
+        const up = { x: Math.sin(radians), y: -Math.cos(radians) };
+        const across = { x: Math.cos(radians), y: Math.sin(radians) };
+        const corner = (alongUp, alongAcross) => ({
+            x: centerX + up.x * alongUp * spineLength / 2 + across.x * alongAcross * spineWidth / 2,
+            y: centerY + up.y * alongUp * spineLength / 2 + across.y * alongAcross * spineWidth / 2
+        });
+        
+        // Top-left, top-right, bottom-right, bottom-left
+        const corners = [corner(1, -1), corner(1, 1), corner(-1, 1), corner(-1, -1)];
+        const xs = corners.map(p => p.x);
+        const ys = corners.map(p => p.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        
+        return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y, corners };
+    }
+    
     calculateVerticalEdgeStrength(data, width, x, y, step) {
         const idx = (y * width + x) * 4;
         const leftIdx = (y * width + (x - step)) * 4;
@@ -262,6 +547,125 @@ class FallbackDetection {
         return 0;
     }
     
+    /**
+     * A band that carries on unchanged past both ends of the stack is a shelf plank or trim, not a book
+     */
+    isContinuousBand(data, width, run, y) {
+        const offset = this.config.sampleStep * 3;
+        const row = Math.round(y) * width;
+        const insideIdx = (row + Math.round((run.startX + run.endX) / 2)) * 4;
+        const outside = [run.startX - offset, run.endX + offset].filter(x => x >= 0 && x < width);
+        
+        return outside.length > 0 &&
+               outside.every(x => this.getColorDifference(data, insideIdx, (row + x) * 4) < 30);
+    }
+    
+    /**
+     * Horizontal span of a plank edge: followed out from the middle of the frame until it breaks off,
+     * which is where the case's side panels or its open ends are
+     */
+    measurePlankExtent(data, width, height, edgeY, step, xStep) {
+        const y = Math.min(height - step - 1, Math.max(step, Math.round(edgeY)));
+        const isPlank = x => this.calculateHorizontalEdgeStrength(data, width, x, y, step) > this.config.plankEdgeThreshold;
+        const center = Math.round(width / 2);
+
+        const follow = direction => {
+            let end = center;
+            let gap = 0;
+            for (let x = center; x >= 0 && x < width; x += direction * xStep) {
+                if (isPlank(x)) {
+                    end = x;
+                    gap = 0;
+                } else if ((gap += xStep) > this.config.maxPlankGap) {
+                    break;
+                }
+            }
+            return end;
+        };
+
+        return { left: follow(-1), right: follow(1) };
+    }
+
+    calculateHorizontalEdgeStrength(data, width, x, y, step) {
+        const aboveIdx = ((y - step) * width + x) * 4;
+        const belowIdx = ((y + step) * width + x) * 4;
+        
+        if (aboveIdx >= 0 && belowIdx < data.length) {
+            const gradient = Math.abs(this.getLuminance(data, belowIdx) - this.getLuminance(data, aboveIdx));
+            const colorDiff = this.getColorDifference(data, aboveIdx, belowIdx);
+            
+            return gradient * this.config.verticalEdgeWeight + colorDiff * this.config.colorDifferenceWeight;
+        }
+        
+        return 0;
+    }
+    
+    /**
+     * Dominant spine colour: the most common coarse colour bin inside the book region
+     */
+    getDominantColor(data, width, region) {
+        const bins = new Map();
+        const step = this.config.sampleStep * 2;
+        const height = data.length / (width * 4);
+        
+        // Skip the outer 15% where neighbouring spines and edges bleed in
+        const insetX = region.width * 0.15;
+        const insetY = region.height * 0.15;
+        const x0 = Math.max(0, Math.round(region.x + insetX));
+        const x1 = Math.min(width - 1, Math.round(region.x + region.width - insetX));
+        const y0 = Math.max(0, Math.round(region.y + insetY));
+        const y1 = Math.min(height - 1, Math.round(region.y + region.height - insetY));
+        
+        for (let y = y0; y <= y1; y += step) {
+            for (let x = x0; x <= x1; x += Math.max(1, Math.floor(step / 2))) {
+                const idx = (y * width + x) * 4;
+                const r = data[idx], g = data[idx + 1], b = data[idx + 2];
+                const key = (r >> 5) << 6 | (g >> 5) << 3 | (b >> 5);
+                
+                const bin = bins.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+                bin.count++;
+                bin.r += r;
+                bin.g += g;
+                bin.b += b;
+                bins.set(key, bin);
+            }
+        }
+        
+        let best = null;
+        for (const bin of bins.values()) {
+            if (!best || bin.count > best.count) best = bin;
+        }
+        
+        if (!best) return null;
+        
+        return this.describeColor(
+            Math.round(best.r / best.count),
+            Math.round(best.g / best.count),
+            Math.round(best.b / best.count)
+        );
+    }
+    
+    describeColor(r, g, b) {
+        const max = Math.max(r, g, b) / 255;
+        const min = Math.min(r, g, b) / 255;
+        const lightness = (max + min) / 2;
+        const delta = max - min;
+        
+        let hue = 0;
+        let saturation = 0;
+        if (delta > 0) {
+            saturation = delta / (1 - Math.abs(2 * lightness - 1));
+            const rn = r / 255, gn = g / 255, bn = b / 255;
+            if (max === rn) hue = 60 * (((gn - bn) / delta) % 6);
+            else if (max === gn) hue = 60 * ((bn - rn) / delta + 2);
+            else hue = 60 * ((rn - gn) / delta + 4);
+            if (hue < 0) hue += 360;
+        }
+        
+        const hex = '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
+        return { r, g, b, hue, saturation, lightness, hex };
+    }
+    
     getLuminance(data, idx) {
         return 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
     }
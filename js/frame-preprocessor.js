@@ -0,0 +1,405 @@
+/**
+ * Frame Pre-processing Module
+ * Contrast, denoise, perspective and shelf crops before detection, via ImageSorcery or locally
+ */
+
+class FramePreprocessor {
+    constructor(mcpDetection = null) {
+        this.mcpDetection = mcpDetection;   // Supplies the MCP client, tool names and health monitor
+
+        this.config = {
+            enabled: false,
+            useServer: true,                // Try the ImageSorcery processing tool before local code
+            operations: ['contrast', 'denoise'],
+            contrast: 1.3,                  // Gain around mid-grey
+            denoiseRadius: 1,               // Box filter radius in pixels
+            perspective: null,              // [tl, tr, br, bl] corner points to warp to a rectangle (applies even when disabled)
+            shelfCrop: null                 // { x, y, width, height } region to keep
+        };
+    }
+
+    configure(options = {}) {
+        Object.assign(this.config, options);
+    }
+
+    /**
+     * Pre-process a frame with the current settings.
+     * Returns { imageData, source, operations, transform, timeMs }
+     */
+    async process(imageData) {
+        if (!this.config.enabled && !this.config.perspective) {
+            return { imageData, source: 'none', operations: [], transform: this.identityTransform(), timeMs: 0 };
+        }
+
+        const started = performance.now();
+        const operations = this.getOperations();
+        const transform = this.buildTransform();
+        let processed = null;
+        let source = 'local';
+
+        if (this.config.useServer && this.isServerAvailable()) {
+            try {
+                processed = await this.processOnServer(imageData, operations);
+                source = 'mcp';
+            } catch (error) {
+                console.warn('⚠️ MCP pre-processing failed, using local:', error.message);
+                // Only an unreachable server counts against it; a missing tool or refused job does not
+                this.mcpDetection.health.recordError(error);
+            }
+        }
+
+        if (!processed) {
+            processed = this.processLocally(imageData, operations);
+        }
+
+        const result = {
+            imageData: processed,
+            source,
+            operations: operations.map(op => op.type),
+            transform,
+            timeMs: performance.now() - started
+        };
+
+        console.log(`🧪 Pre-processed frame (${source}): ${result.operations.join(', ')} in ${result.timeMs.toFixed(1)}ms`);
+        return result;
+    }
+
+    /**
+     * Operations in the order they apply: geometry first, then pixel filters
+     */
+    getOperations() {
+        const operations = [];
+        if (this.config.perspective) operations.push({ type: 'perspective', corners: this.config.perspective });
+        if (!this.config.enabled) return operations;
+        if (this.config.shelfCrop) operations.push({ type: 'crop', ...this.config.shelfCrop });
+        if (this.config.operations.includes('contrast')) operations.push({ type: 'contrast', factor: this.config.contrast });
+        if (this.config.operations.includes('denoise')) operations.push({ type: 'denoise', radius: this.config.denoiseRadius });
+        return operations;
+    }
+
+    isServerAvailable() {
+        return Boolean(this.mcpDetection) && this.mcpDetection.health.isAvailable();
+    }
+
+    async processOnServer(imageData, operations) {
+        const client = this.mcpDetection.client;
+        const tool = await client.findTool(this.mcpDetection.mcpTools.imageProcessing);
+        if (!tool) {
+            throw new Error('ImageSorcery MCP server offers no image-processing tool');
+        }
+
+        const imageKey = this.mcpDetection.getInlineImageKey(tool);
+        const result = await client.callTool(tool.name, {
+            [imageKey]: await this.mcpDetection.imageDataToBase64(imageData),
+            operations
+        });
+
+        const payload = client.parseToolResult(result);
+        const image = payload.image || payload.processed_image;
+        if (!image) {
+            throw new Error('ImageSorcery processing returned no image');
+        }
+        return this.decodeImage(image);
+    }
+
+    async decodeImage(dataUrl) {
+        const blob = await (await fetch(dataUrl)).blob();
+        const bitmap = await createImageBitmap(blob);
+        const canvas = typeof document === 'undefined' ?
+            new OffscreenCanvas(bitmap.width, bitmap.height) :
+            document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        return ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+    }
+
+    processLocally(imageData, operations) {
+        return operations.reduce((image, op) => {
+            if (op.type === 'perspective') return this.warpPerspective(image, op.corners);
+            if (op.type === 'crop') return this.crop(image, op);
+            if (op.type === 'contrast') return this.adjustContrast(image, op.factor);
+            if (op.type === 'denoise') return this.boxBlur(image, op.radius);
+            return image;
+        }, imageData);
+    }
+
+    createImage(width, height) {
+        // Real ImageData where available so canvas code (e.g. base64 encoding) accepts it
+        if (typeof ImageData !== 'undefined') return new ImageData(width, height);
+        return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+    }
+
+    adjustContrast(image, factor) {
+        const result = this.createImage(image.width, image.height);
+        for (let i = 0; i < image.data.length; i += 4) {
+            result.data[i] = (image.data[i] - 128) * factor + 128;
+            result.data[i + 1] = (image.data[i + 1] - 128) * factor + 128;
+            result.data[i + 2] = (image.data[i + 2] - 128) * factor + 128;
+            result.data[i + 3] = image.data[i + 3];
+        }
+        return result;
+    }
+
+    /**
+     * Separable box filter: horizontal pass, then vertical
+     */
+    boxBlur(image, radius) {
+        const { width, height } = image;
+        const horizontal = this.createImage(width, height);
+        const result = this.createImage(width, height);
+
+        const pass = (source, target, dx, dy, length, lines) => {
+            for (let line = 0; line < lines; line++) {
+                for (let pos = 0; pos < length; pos++) {
+                    const sums = [0, 0, 0];
+                    let count = 0;
+                    for (let k = -radius; k <= radius; k++) {
+                        const p = pos + k;
+                        if (p < 0 || p >= length) continue;
+                        const x = dx ? p : line;
+                        const y = dy ? p : line;
+                        const idx = (y * width + x) * 4;
+                        sums[0] += source.data[idx];
+                        sums[1] += source.data[idx + 1];
+                        sums[2] += source.data[idx + 2];
+                        count++;
+                    }
+                    const x = dx ? pos : line;
+                    const y = dy ? pos : line;
+                    const idx = (y * width + x) * 4;
+                    target.data[idx] = sums[0] / count;
+                    target.data[idx + 1] = sums[1] / count;
+                    target.data[idx + 2] = sums[2] / count;
+                    target.data[idx + 3] = source.data[idx + 3];
+                }
+            }
+        };
+
+        pass(image, horizontal, 1, 0, width, height);
+        pass(horizontal, result, 0, 1, height, width);
+        return result;
+    }
+
+    crop(image, rect) {
+        const x0 = Math.max(0, Math.round(rect.x));
+        const y0 = Math.max(0, Math.round(rect.y));
+        const width = Math.min(image.width - x0, Math.round(rect.width));
+        const height = Math.min(image.height - y0, Math.round(rect.height));
+        const result = this.createImage(width, height);
+
+        for (let y = 0; y < height; y++) {
+            const start = ((y0 + y) * image.width + x0) * 4;
+            result.data.set(image.data.subarray(start, start + width * 4), y * width * 4);
+        }
+        return result;
+    }
+
+    /**
+     * Warp the quadrilateral [tl, tr, br, bl] to an upright rectangle (nearest-neighbour sampling)
+     */
+    warpPerspective(image, corners) {
+        const { width, height } = this.getWarpSize(corners);
+        const toSource = this.computeHomography(this.getRectCorners(width, height), corners);
+        const result = this.createImage(width, height);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const point = this.applyHomography(toSource, x, y);
+                const sx = Math.round(point.x);
+                const sy = Math.round(point.y);
+                if (sx < 0 || sy < 0 || sx >= image.width || sy >= image.height) continue;
+
+                const from = (sy * image.width + sx) * 4;
+                const to = (y * width + x) * 4;
+                result.data[to] = image.data[from];
+                result.data[to + 1] = image.data[from + 1];
+                result.data[to + 2] = image.data[from + 2];
+                result.data[to + 3] = image.data[from + 3];
+            }
+        }
+        return result;
+    }
+
+    getWarpSize(corners) {
+        const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+        const [tl, tr, br, bl] = corners;
+        return {
+            width: Math.round(Math.max(distance(tl, tr), distance(bl, br))),
+            height: Math.round(Math.max(distance(tl, bl), distance(tr, br)))
+        };
+    }
+
+    getRectCorners(width, height) {
+        return [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+    }
+
+    /**
+     * 3x3 homography (row-major, h33 = 1) mapping four source points onto four destination points
+     */
+    computeHomography(src, dst) {
+        const rows = [];
+        const rhs = [];
+        for (let i = 0; i < 4; i++) {
+            const { x, y } = src[i];
+            const { x: u, y: v } = dst[i];
+            rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+            rhs.push(u);
+            rows.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+            rhs.push(v);
+        }
+
+        // Gaussian elimination with partial pivoting
+        const n = 8;
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+            }
+            if (Math.abs(rows[pivot][col]) < 1e-12) {
+                throw new Error('Degenerate perspective points');
+            }
+            [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+            [rhs[col], rhs[pivot]] = [rhs[pivot], rhs[col]];
+
+            for (let row = 0; row < n; row++) {
+                if (row === col) continue;
+                const factor = rows[row][col] / rows[col][col];
+                for (let k = col; k < n; k++) rows[row][k] -= factor * rows[col][k];
+                rhs[row] -= factor * rhs[col];
+            }
+        }
+
+        const h = rhs.map((value, i) => value / rows[i][i]);
+        return [h[0], h[1], h[2], h[3], h[4], h[5], h[6], h[7], 1];
+    }
+
+    applyHomography(h, x, y) {
+        const w = h[6] * x + h[7] * y + h[8];
+        return {
+            x: (h[0] * x + h[1] * y + h[2]) / w,
+            y: (h[3] * x + h[4] * y + h[5]) / w
+        };
+    }
+
+    identityTransform() {
+        return { offsetX: 0, offsetY: 0, toFrame: null };
+    }
+
+    /**
+     * How processed-image coordinates map back to the original frame
+     */
+    buildTransform() {
+        const transform = this.identityTransform();
+
+        if (this.config.enabled && this.config.shelfCrop) {
+            transform.offsetX = Math.max(0, Math.round(this.config.shelfCrop.x));
+            transform.offsetY = Math.max(0, Math.round(this.config.shelfCrop.y));
+        }
+
+        if (this.config.perspective) {
+            const { width, height } = this.getWarpSize(this.config.perspective);
+            transform.toFrame = this.computeHomography(this.getRectCorners(width, height), this.config.perspective);
+            transform.width = width;
+        }
+
+        return transform;
+    }
+
+    mapPointToFrame(transform, x, y) {
+        const point = { x: x + transform.offsetX, y: y + transform.offsetY };
+        return transform.toFrame ? this.applyHomography(transform.toFrame, point.x, point.y) : point;
+    }
+
+    /**
+     * Move detected boxes from processed-image coordinates back into the original frame
+     */
+    mapBooksToFrame(books, transform) {
+        if (!transform.toFrame && transform.offsetX === 0 && transform.offsetY === 0) return books;
+
+        return books.map(book => {
+            const source = book.corners || [
+                { x: book.x, y: book.y },
+                { x: book.x + book.width, y: book.y },
+                { x: book.x + book.width, y: book.y + book.height },
+                { x: book.x, y: book.y + book.height }
+            ];
+            const corners = source.map(point => this.mapPointToFrame(transform, point.x, point.y));
+            const xs = corners.map(p => p.x);
+            const ys = corners.map(p => p.y);
+            const x = Math.min(...xs);
+            const y = Math.min(...ys);
+            const mapped = { ...book, x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+
+            // Oriented spines keep their outline, as does every box leaving a warped view; the warp changes their tilt
+            if (book.corners || transform.toFrame) {
+                const left = { x: (corners[0].x - corners[3].x), y: (corners[0].y - corners[3].y) };
+                mapped.corners = corners;
+                mapped.angle = Math.atan2(left.x, -left.y) * 180 / Math.PI;
+            }
+
+            // Spine measures were taken in the warped view; rescale them so they share frame pixels with the shelves
+            if (transform.toFrame) {
+                Object.assign(mapped, this.scaleSpineMeasures(book, transform));
+            }
+            return mapped;
+        });
+    }
+
+    /**
+     * Spine width and length (and flat thickness) in frame pixels, from the warp's local scale at the book
+     */
+    scaleSpineMeasures(book, transform) {
+        const center = { x: book.x + book.width / 2, y: book.y + book.height / 2 };
+        const radians = (book.angle || 0) * Math.PI / 180;
+
+        // Flat books lie along the shelf; standing ones run along their (possibly leaning) spine
+        const along = book.orientation === 'flat' ? { x: 1, y: 0 } : { x: Math.sin(radians), y: -Math.cos(radians) };
+        const across = { x: -along.y, y: along.x };
+        const alongScale = this.getLocalScale(transform, center, along);
+        const acrossScale = this.getLocalScale(transform, center, across);
+
+        const scaled = {};
+        if (book.spineLength) scaled.spineLength = book.spineLength * alongScale;
+        if (book.spineWidth) scaled.spineWidth = book.spineWidth * acrossScale;
+        if (book.thickness) scaled.thickness = book.thickness * acrossScale;
+        if (book.estimatedThickness) scaled.estimatedThickness = book.estimatedThickness * acrossScale;
+        return scaled;
+    }
+
+    /**
+     * Frame pixels per processed-image pixel at a point, along a unit direction
+     */
+    getLocalScale(transform, point, direction) {
+        const from = this.mapPointToFrame(transform, point.x, point.y);
+        const to = this.mapPointToFrame(transform, point.x + direction.x, point.y + direction.y);
+        return Math.hypot(to.x - from.x, to.y - from.y);
+    }
+
+    mapShelvesToFrame(shelves, transform) {
+        if (!transform.toFrame && transform.offsetX === 0 && transform.offsetY === 0) return shelves;
+
+        // Shelf lines are measured across the middle of a warped view, where they are least distorted
+        const mapY = y => this.mapPointToFrame(transform, (transform.width || 0) / 2, y).y;
+        // A plank's ends are mapped where they are, along the plank
+        const mapX = (x, y) => this.mapPointToFrame(transform, x, y).x;
+        const mapPlank = plank => plank ? {
+            topY: mapY(plank.topY),
+            bottomY: mapY(plank.bottomY),
+            left: mapX(plank.left, (plank.topY + plank.bottomY) / 2),
+            right: mapX(plank.right, (plank.topY + plank.bottomY) / 2)
+        } : plank;
+
+        return shelves.map(shelf => ({
+            ...shelf,
+            topY: mapY(shelf.topY),
+            bottomY: mapY(shelf.bottomY),
+            clearHeight: mapY(shelf.bottomY) - mapY(shelf.topY),
+            topPlank: mapPlank(shelf.topPlank),
+            bottomPlank: mapPlank(shelf.bottomPlank)
+        }));
+    }
+}
+
+export default FramePreprocessor;
@@ -0,0 +1,118 @@
+/**
+ * Frame Quality Estimator
+ * Flags blurred, badly exposed or shaking frames before they reach the detectors
+ */
+
+class FrameQualityEstimator {
+    constructor() {
+        this.config = {
+            sampleStep: 4,              // Measure every Nth pixel in each direction
+            minSharpness: 40,           // Variance of gradient magnitude below which the frame is blurred
+            minBrightness: 45,          // Mean luminance (0-255) below which the frame is too dark
+            maxBrightness: 215,         // Mean luminance above which the frame is washed out
+            maxClipped: 0.3,            // Fraction of blown-out pixels that counts as overexposed
+            maxShake: 30                // Mean thumbnail difference to the previous frame that counts as rapid motion
+        };
+
+        this.previousThumb = null;
+    }
+
+    reset() {
+        this.previousThumb = null;
+    }
+
+    /**
+     * Score a frame: { ok, issues, message, sharpness, brightness, clipped, shake }
+     * thumb is the motion gate's thumbnail of the same frame, used for frame-to-frame shake.
+     */
+    assess(imageData, thumb = null) {
+        const { sharpness, brightness, clipped } = this.measure(imageData);
+        const shake = this.measureShake(thumb);
+        const issues = [];
+
+        if (brightness < this.config.minBrightness) issues.push('dark');
+        if (brightness > this.config.maxBrightness || clipped > this.config.maxClipped) issues.push('bright');
+        if (shake > this.config.maxShake) issues.push('motion');
+        // Dark frames have weak gradients anyway; only call it blur when exposure is fine
+        if (sharpness < this.config.minSharpness && !issues.includes('dark')) issues.push('blur');
+
+        return {
+            ok: issues.length === 0,
+            issues,
+            message: this.getMessage(issues),
+            sharpness,
+            brightness,
+            clipped,
+            shake
+        };
+    }
+
+    /**
+     * Gradient-variance sharpness plus exposure statistics on a sparse grid
+     */
+    measure(imageData) {
+        const { width, height, data } = imageData;
+        const step = this.config.sampleStep;
+        const luminance = (x, y) => {
+            const idx = (y * width + x) * 4;
+            return 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+        };
+
+        let count = 0;
+        let lumSum = 0;
+        let clippedCount = 0;
+        let gradSum = 0;
+        let gradSqSum = 0;
+
+        for (let y = 0; y < height - 1; y += step) {
+            for (let x = 0; x < width - 1; x += step) {
+                const lum = luminance(x, y);
+                const gradient = Math.hypot(luminance(x + 1, y) - lum, luminance(x, y + 1) - lum);
+
+                lumSum += lum;
+                if (lum > 250) clippedCount++;
+                gradSum += gradient;
+                gradSqSum += gradient * gradient;
+                count++;
+            }
+        }
+
+        if (count === 0) {
+            return { sharpness: 0, brightness: 0, clipped: 0 };
+        }
+
+        const meanGradient = gradSum / count;
+        return {
+            sharpness: gradSqSum / count - meanGradient * meanGradient,
+            brightness: lumSum / count,
+            clipped: clippedCount / count
+        };
+    }
+
+    /**
+     * Mean difference to the previous frame's thumbnail; large values mean the camera is moving fast
+     */
+    measureShake(thumb) {
+        const previous = this.previousThumb;
+        this.previousThumb = thumb;
+
+        if (!thumb || !previous || previous.pixels.length !== thumb.pixels.length) {
+            return 0;
+        }
+
+        let sum = 0;
+        for (let i = 0; i < thumb.pixels.length; i++) {
+            sum += Math.abs(thumb.pixels[i] - previous.pixels[i]);
+        }
+        return sum / thumb.pixels.length;
+    }
+
+    getMessage(issues) {
+        if (issues.includes('dark')) return 'More light needed';
+        if (issues.includes('bright')) return 'Too much glare';
+        if (issues.includes('motion') || issues.includes('blur')) return 'Hold steady';
+        return null;
+    }
+}
+
+export default FrameQualityEstimator;
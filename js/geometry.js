@@ -0,0 +1,58 @@
+/**
+ * Geometry Helpers
+ * Axis-aligned rectangle and shelf-row maths shared by the tracker, detectors, scanner and planners
+ */
+
+/**
+ * Overlapping area of two { x, y, width, height } boxes
+ */
+export function intersectionArea(a, b) {
+    const overlapX = Math.max(0, Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x));
+    const overlapY = Math.max(0, Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y));
+    return overlapX * overlapY;
+}
+
+export function intersectionOverUnion(a, b) {
+    const intersection = intersectionArea(a, b);
+    const union = a.width * a.height + b.width * b.height - intersection;
+    return union > 0 ? intersection / union : 0;
+}
+
+/**
+ * Smallest box containing both boxes
+ */
+export function unionRect(a, b) {
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    return {
+        x,
+        y,
+        width: Math.max(a.x + a.width, b.x + b.width) - x,
+        height: Math.max(a.y + a.height, b.y + b.height) - y
+    };
+}
+
+/**
+ * Shelf width each book takes up as it stands. A flat stack's boxes each span the whole stack,
+ * so the stack counts once, at its longest book, on its bottom book; the books above it take none.
+ */
+export function shelfFootprints(books) {
+    const isStacked = book => book.orientation === 'flat' && book.stackId;
+    const bases = new Map();
+    const lengths = new Map();
+
+    books.filter(isStacked).forEach(book => {
+        const base = bases.get(book.stackId);
+        if (!base || book.y + book.height > base.y + base.height) bases.set(book.stackId, book);
+        lengths.set(book.stackId, Math.max(lengths.get(book.stackId) || 0, book.width));
+    });
+
+    return new Map(books.map(book => [
+        book.id,
+        !isStacked(book) ? book.width : bases.get(book.stackId) === book ? lengths.get(book.stackId) : 0
+    ]));
+}
+
+export function measureShelfWidth(books) {
+    return [...shelfFootprints(books).values()].reduce((sum, width) => sum + width, 0);
+}
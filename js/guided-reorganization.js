@@ -0,0 +1,200 @@
+/**
+ * Guided Reorganization Module
+ * Walks the user through a move plan and verifies each step against fresh detections
+ */
+
+import { intersectionOverUnion, unionRect } from './geometry.js';
+
+class GuidedReorganization {
+    constructor() {
+        this.config = {
+            confirmationsRequired: 3,   // Consecutive matching frames before a step counts as done
+            minOverlap: 0.3,            // Intersection-over-union for "book is in this slot"
+            minCoverage: 0.7            // Share of a multi-book destination that must be filled
+        };
+
+        this.reset();
+    }
+
+    reset() {
+        this.active = false;
+        this.plan = null;
+        this.sources = new Map();
+        this.currentIndex = 0;
+        this.history = [];
+        this.confirmations = 0;
+        this.awaitingUndo = false;      // An undone step only counts again once it has been seen undone
+    }
+
+    /**
+     * Start guiding through a plan from MoveSequencePlanner, remembering where each book started
+     */
+    start(plan, books) {
+        this.reset();
+        this.plan = plan;
+        this.active = plan.steps.length > 0;
+
+        books.forEach(book => {
+            this.sources.set(book.id, { x: book.x, y: book.y, width: book.width, height: book.height });
+        });
+
+        console.log('🧭 Guided reorganization started:', plan.steps.length, 'steps');
+        return this.getProgress();
+    }
+
+    stop() {
+        console.log('🧭 Guided reorganization stopped');
+        this.reset();
+    }
+
+    getCurrentStep() {
+        if (!this.active || this.currentIndex >= this.plan.steps.length) return null;
+        return this.plan.steps[this.currentIndex];
+    }
+
+    /**
+     * Where the current step's books are now (falls back to where they started)
+     */
+    getSourceRect(books = []) {
+        const step = this.getCurrentStep();
+        if (!step) return null;
+
+        const rects = step.bookIds.map(id => {
+            const book = books.find(b => b.id === id);
+            return book ? { x: book.x, y: book.y, width: book.width, height: book.height } : this.sources.get(id);
+        }).filter(Boolean);
+
+        return rects.length > 0 ? rects.reduce((a, b) => unionRect(a, b)) : null;
+    }
+
+    getProgress() {
+        const total = this.plan ? this.plan.steps.length : 0;
+        return {
+            active: this.active,
+            current: Math.min(this.currentIndex + 1, total),
+            total,
+            completed: this.history.filter(entry => entry.status === 'verified').length,
+            skipped: this.history.filter(entry => entry.status === 'skipped').length,
+            confirmations: this.confirmations,
+            finished: this.active && this.currentIndex >= total,
+            step: this.getCurrentStep()
+        };
+    }
+
+    skip() {
+        if (!this.getCurrentStep()) return this.getProgress();
+
+        this.history.push({ index: this.currentIndex, status: 'skipped' });
+        this.advance();
+        return this.getProgress();
+    }
+
+    undo() {
+        const last = this.history.pop();
+        if (last) {
+            this.currentIndex = last.index;
+            this.confirmations = 0;
+            this.awaitingUndo = true;
+        }
+        return this.getProgress();
+    }
+
+    advance() {
+        this.currentIndex++;
+        this.confirmations = 0;
+        this.awaitingUndo = false;
+    }
+
+    /**
+     * Check the current step against the latest detections
+     */
+    verify(books) {
+        const step = this.getCurrentStep();
+        if (!step) return this.getProgress();
+
+        if (!this.isStepSatisfied(step, books)) {
+            this.confirmations = 0;
+            this.awaitingUndo = false;
+        } else if (!this.awaitingUndo) {
+            this.confirmations++;
+        }
+
+        if (this.confirmations >= this.config.confirmationsRequired) {
+            console.log(`✅ Step ${step.step} verified: ${step.text}`);
+            this.history.push({ index: this.currentIndex, status: 'verified' });
+            this.advance();
+        }
+
+        return this.getProgress();
+    }
+
+    isStepSatisfied(step, books) {
+        // An empty frame says nothing about the shelf
+        if (books.length === 0) return false;
+
+        if (step.action === 'set-aside') {
+            // The tracked book is gone, and no unknown book stands where it was; neighbours may close the gap
+            return step.bookIds.every(id => {
+                const source = this.sources.get(id);
+                const tracked = books.find(book => book.id === id);
+                return source && (!tracked || tracked.misses > 0) && !books.some(book =>
+                    !this.sources.has(book.id) && intersectionOverUnion(book, source) >= this.config.minOverlap
+                );
+            });
+        }
+        if (!step.target) return false;
+
+        // The step's own books, by tracked id, in the target and nearer it than where they started.
+        // Their old places may well hold other books: neighbours slide into the gap on a packed shelf.
+        const moved = this.findMovedBooks(step, books);
+        if (moved.length < step.bookIds.length) return false;
+        if (!moved.every(book => this.matchesOrientation(book, step.to.orientation) &&
+                                 this.isCenterInside(book, step.target) && this.hasLeftSource(book, step.target))) {
+            return false;
+        }
+
+        if (step.bookIds.length > 1) {
+            const filledWidth = moved.reduce((sum, book) => sum + book.width, 0);
+            return filledWidth >= step.target.width * this.config.minCoverage;
+        }
+
+        return intersectionOverUnion(moved[0], step.target) >= this.config.minOverlap;
+    }
+
+    /**
+     * The step's books by tracked id. A book carried far enough loses its track and comes back
+     * under a new id, so a missing one may be stood in for by a book that wasn't there at the start.
+     */
+    findMovedBooks(step, books) {
+        const newcomers = books.filter(book => !this.sources.has(book.id) && this.isCenterInside(book, step.target));
+        return step.bookIds
+            .map(id => books.find(book => book.id === id) || newcomers.shift())
+            .filter(Boolean);
+    }
+
+    /**
+     * A book that started out overlapping its target has only moved once it overlaps the target more
+     */
+    hasLeftSource(book, target) {
+        const source = this.sources.get(book.id);
+        return !source || intersectionOverUnion(book, target) > intersectionOverUnion(book, source);
+    }
+
+    matchesOrientation(book, orientation) {
+        if (book.orientation) return book.orientation === orientation;
+
+        // Without an explicit orientation, read it from the box shape
+        if (orientation === 'flat') return book.width > book.height;
+        if (orientation === 'faceout') return book.width > book.height * 0.4;
+        return book.height >= book.width;
+    }
+
+    isCenterInside(book, rect) {
+        const centerX = book.x + book.width / 2;
+        const centerY = book.y + book.height / 2;
+        return centerX >= rect.x && centerX <= rect.x + rect.width &&
+               centerY >= rect.y && centerY <= rect.y + rect.height;
+    }
+}
+
+export default GuidedReorganization;
@@ -0,0 +1,258 @@
+/**
+ * MCP Client Module
+ * JSON-RPC 2.0 client for Model Context Protocol servers over the streamable HTTP transport
+ */
+
+class MCPClient {
+    constructor(serverUrl = '/mcp') {
+        this.serverUrl = serverUrl;
+
+        this.config = {
+            protocolVersion: '2025-03-26',
+            clientInfo: { name: 'ar-bookshelf-optimizer', version: '1.0.0' },
+            requestTimeout: 10000,      // 10 second timeout for AI processing
+            pingTimeout: 3000
+        };
+
+        this.nextId = 1;
+        this.sessionId = null;
+        this.serverInfo = null;
+        this.serverCapabilities = null;
+        this.tools = null;
+        this.initializing = null;
+    }
+
+    /**
+     * Run the initialize handshake once; later calls reuse the session
+     */
+    async connect() {
+        if (!this.initializing) {
+            this.initializing = this.initialize().catch(error => {
+                this.initializing = null;
+                throw error;
+            });
+        }
+        return this.initializing;
+    }
+
+    async initialize() {
+        const result = await this.request('initialize', {
+            protocolVersion: this.config.protocolVersion,
+            capabilities: {},
+            clientInfo: this.config.clientInfo
+        });
+
+        this.serverInfo = result.serverInfo || null;
+        this.serverCapabilities = result.capabilities || {};
+        await this.notify('notifications/initialized');
+
+        console.log('🔌 MCP session ready:', this.serverInfo ? this.serverInfo.name : 'unknown server', result.protocolVersion);
+        return result;
+    }
+
+    /**
+     * Forget the session so the next call starts a fresh handshake
+     */
+    disconnect() {
+        this.sessionId = null;
+        this.initializing = null;
+        this.tools = null;
+    }
+
+    /**
+     * Liveness check; redoes the handshake so a restarted server gets a fresh session
+     */
+    async ping() {
+        this.disconnect();
+        await this.connect();
+        await this.request('ping', {}, this.config.pingTimeout);
+    }
+
+    /**
+     * All tools the server offers, following pagination cursors; cached per session
+     */
+    async listTools(refresh = false) {
+        if (this.tools && !refresh) return this.tools;
+
+        await this.connect();
+        const tools = [];
+        let cursor;
+
+        do {
+            const result = await this.request('tools/list', cursor ? { cursor } : {});
+            tools.push(...(result.tools || []));
+            cursor = result.nextCursor;
+        } while (cursor);
+
+        this.tools = tools;
+        console.log('🧰 MCP tools:', tools.map(tool => tool.name).join(', '));
+        return tools;
+    }
+
+    /**
+     * First tool whose name is in the preference list
+     */
+    async findTool(names) {
+        const tools = await this.listTools();
+        for (const name of names) {
+            const tool = tools.find(t => t.name === name);
+            if (tool) return tool;
+        }
+        return null;
+    }
+
+    /**
+     * Call a tool; tool-level failures (isError) throw like protocol errors
+     */
+    async callTool(name, args = {}) {
+        await this.connect();
+        const result = await this.request('tools/call', { name, arguments: args });
+
+        if (result.isError) {
+            const error = new Error(`MCP tool ${name} failed: ${this.getResultText(result) || 'unknown error'}`);
+            error.toolResult = result;
+            throw error;
+        }
+
+        return result;
+    }
+
+    /**
+     * Structured payload of a tool result: structuredContent, else the first text block parsed as JSON
+     */
+    parseToolResult(result) {
+        if (result.structuredContent) return result.structuredContent;
+
+        const text = this.getResultText(result);
+        if (!text) return {};
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`MCP tool returned non-JSON text: ${text.slice(0, 80)}`);
+        }
+    }
+
+    getResultText(result) {
+        const block = (result.content || []).find(item => item.type === 'text');
+        return block ? block.text : '';
+    }
+
+    async request(method, params = {}, timeout = this.config.requestTimeout) {
+        const id = this.nextId++;
+        const message = await this.send({ jsonrpc: '2.0', id, method, params }, id, timeout);
+
+        if (message.error) {
+            const error = new Error(`MCP ${method} error ${message.error.code}: ${message.error.message}`);
+            error.code = message.error.code;
+            error.data = message.error.data;
+            throw error;
+        }
+
+        return message.result;
+    }
+
+    async notify(method, params = {}) {
+        await this.send({ jsonrpc: '2.0', method, params }, null);
+    }
+
+    /**
+     * POST one JSON-RPC message; the reply comes back as plain JSON or as a server-sent event stream.
+     * A request on an expired session is sent once more on a fresh one.
+     */
+    async send(payload, id, timeout = this.config.requestTimeout, retryOnExpiry = true) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json, text/event-stream'
+        };
+        if (this.sessionId) {
+            headers['Mcp-Session-Id'] = this.sessionId;
+        }
+
+        let response;
+        try {
+            response = await fetch(this.serverUrl, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(payload),
+                signal: AbortSignal.timeout(timeout)
+            });
+        } catch (error) {
+            if (error.name === 'TypeError') {
+                throw this.transportError('MCP server not available - check if server is running');
+            }
+            // Timeouts and aborts
+            error.transport = true;
+            throw error;
+        }
+
+        // The server is up but forgot the session: handshake again and retry, never counted as a transport failure
+        if (response.status === 404 && this.sessionId) {
+            this.disconnect();
+            if (retryOnExpiry && id !== null && payload.method !== 'initialize') {
+                await this.connect();
+                return this.send(payload, id, timeout, false);
+            }
+            const error = new Error('MCP session expired');
+            error.sessionExpired = true;
+            throw error;
+        }
+
+        if (!response.ok) {
+            throw this.transportError(`MCP request failed: ${response.status} - ${response.statusText}`);
+        }
+
+        const sessionId = response.headers.get('Mcp-Session-Id');
+        if (sessionId) {
+            this.sessionId = sessionId;
+        }
+
+        // Notifications are acknowledged with 202 and no body
+        if (id === null) return null;
+
+        const contentType = response.headers.get('Content-Type') || '';
+        const body = await response.text();
+        const messages = contentType.includes('text/event-stream') ?
+            this.parseEventStream(body) :
+            [this.parseJson(body)].flat();
+
+        const reply = messages.find(message => message && message.id === id);
+        if (!reply) {
+            throw this.transportError(`MCP server sent no response for request ${id}`);
+        }
+        return reply;
+    }
+
+    /**
+     * Errors flagged transport mean the server could not be reached or answered garbage,
+     * as opposed to a live server rejecting a request
+     */
+    transportError(message) {
+        const error = new Error(message);
+        error.transport = true;
+        return error;
+    }
+
+    /**
+     * JSON-RPC messages from the data fields of an SSE body
+     */
+    parseEventStream(body) {
+        return body.split(/\r?\n\r?\n/)
+            .map(event => event.split(/\r?\n/)
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trimStart())
+                .join('\n'))
+            .filter(data => data.length > 0)
+            .flatMap(data => this.parseJson(data));
+    }
+
+    parseJson(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw this.transportError('MCP server sent malformed JSON');
+        }
+    }
+}
+
+export default MCPClient;
@@ -0,0 +1,118 @@
+/**
+ * MCP Health Monitor
+ * Circuit breaker with backoff and background probing for the MCP server connection
+ */
+
+class MCPHealthMonitor {
+    constructor(probe) {
+        this.probe = probe;   // async () => resolves when the server answers
+
+        this.config = {
+            failureThreshold: 1,    // Failed calls before the circuit opens
+            baseBackoff: 2000,      // First probe 2s after the circuit opens
+            maxBackoff: 60000,      // Probe at least once a minute
+            backoffFactor: 2
+        };
+
+        this.state = 'unknown';     // 'unknown' | 'connected' | 'disconnected' | 'probing'
+        this.failures = 0;
+        this.backoff = 0;
+        this.nextProbeAt = null;
+        this.lastError = null;
+        this.probeTimer = null;
+        this.listeners = [];
+    }
+
+    /**
+     * Closed circuit (or not yet known): calls may go to the server
+     */
+    isAvailable() {
+        return this.state === 'unknown' || this.state === 'connected';
+    }
+
+    recordSuccess() {
+        this.failures = 0;
+        this.lastError = null;
+        this.setState('connected');
+    }
+
+    /**
+     * Sort a failed call: only transport errors count against the server; a tool or
+     * protocol error came from a live server, and anything else says nothing about it
+     */
+    recordError(error) {
+        if (error && error.transport) {
+            this.recordFailure(error);
+        } else if (error && (error.toolResult || error.code !== undefined)) {
+            this.recordSuccess();
+        }
+    }
+
+    recordFailure(error) {
+        this.failures++;
+        this.lastError = error ? error.message : null;
+
+        if (this.failures >= this.config.failureThreshold && this.state !== 'disconnected') {
+            console.warn('🔌 MCP circuit open, routing to fallback:', this.lastError);
+            this.backoff = this.config.baseBackoff;
+            this.setState('disconnected');
+            this.scheduleProbe();
+        }
+    }
+
+    scheduleProbe() {
+        clearTimeout(this.probeTimer);
+        this.nextProbeAt = Date.now() + this.backoff;
+        this.probeTimer = setTimeout(() => this.runProbe(), this.backoff);
+    }
+
+    /**
+     * Check the server in the background; close the circuit on success, back off further on failure
+     */
+    async runProbe() {
+        this.probeTimer = null;
+        this.nextProbeAt = null;
+        this.setState('probing');
+
+        try {
+            await this.probe();
+            console.log('🔌 MCP server reachable again');
+            this.recordSuccess();
+        } catch (error) {
+            this.lastError = error.message;
+            this.backoff = Math.min(this.backoff * this.config.backoffFactor, this.config.maxBackoff);
+            this.setState('disconnected');
+            this.scheduleProbe();
+        }
+    }
+
+    /**
+     * Stop background probing (e.g. when the app shuts down)
+     */
+    stop() {
+        clearTimeout(this.probeTimer);
+        this.probeTimer = null;
+        this.nextProbeAt = null;
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    setState(state) {
+        if (this.state === state) return;
+        this.state = state;
+        this.listeners.forEach(listener => listener(this.getStatus()));
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            retryInMs: this.nextProbeAt ? Math.max(0, this.nextProbeAt - Date.now()) : null,
+            lastError: this.lastError
+        };
+    }
+}
+
+export default MCPHealthMonitor;
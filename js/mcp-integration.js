@@ -3,13 +3,47 @@
  * Handles communication with ImageSorcery MCP server for computer vision
  */
 
+import MCPClient from './mcp-client.js';
+import MCPHealthMonitor from './mcp-health-monitor.js';
+
 class MCPBookDetection {
-    constructor() {
-        // ImageSorcery MCP endpoints
-        this.mcpEndpoints = {
-            objectDetection: '/mcp/imagesorcery/detect-objects',
-            imageProcessing: '/mcp/imagesorcery/process-image'
+    constructor(client = new MCPClient('/mcp')) {
+        this.client = client;
+        this.health = new MCPHealthMonitor(() => this.client.ping());
+
+        // ImageSorcery MCP tools, in order of preference
+        this.mcpTools = {
+            objectDetection: ['detect', 'detect_objects', 'find'],
+            imageProcessing: ['process_image', 'enhance', 'crop']
         };
+
+        this.detectionOptions = {
+            objects: ['book', 'books', 'spine', 'spines'],
+            confidenceThreshold: 0.25
+        };
+
+        // Detector contract (see DetectorRegistry)
+        this.label = 'MCP';
+        this.capabilities = ['spines'];
+        this.cost = 10;     // Network round trip plus server-side inference
+    }
+
+    async detect(imageData) {
+        try {
+            const books = await this.detectBooks(imageData);
+            this.health.recordSuccess();
+            return books;
+        } catch (error) {
+            this.health.recordError(error);
+            throw error;
+        }
+    }
+
+    /**
+     * False while the circuit is open, so the registry skips straight to the next detector
+     */
+    async isAvailable() {
+        return this.health.isAvailable();
     }
 
     async detectBooks(imageData) {
@@ -17,7 +51,7 @@ class MCPBookDetection {
         
         try {
             // Convert imageData to base64 for MCP server
-            const imageBase64 = this.imageDataToBase64(imageData);
+            const imageBase64 = await this.imageDataToBase64(imageData);
             
             // Use ImageSorcery for object detection
             const detectionResults = await this.callImageSorceryDetection(imageBase64);
@@ -31,7 +65,16 @@ class MCPBookDetection {
         }
     }
 
-    imageDataToBase64(imageData) {
+    async imageDataToBase64(imageData) {
+        // Workers have no DOM; encode on an OffscreenCanvas there
+        if (typeof document === 'undefined' && typeof OffscreenCanvas !== 'undefined') {
+            const canvas = new OffscreenCanvas(imageData.width, imageData.height);
+            canvas.getContext('2d').putImageData(imageData, 0, 0);
+            const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+            const reader = new FileReaderSync();
+            return reader.readAsDataURL(blob);
+        }
+
         const canvas = document.createElement('canvas');
         canvas.width = imageData.width;
         canvas.height = imageData.height;
@@ -41,33 +84,48 @@ class MCPBookDetection {
     }
 
     async callImageSorceryDetection(imageBase64) {
-        try {
-            const response = await fetch(this.mcpEndpoints.objectDetection, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    image: imageBase64,
-                    task: 'object_detection',
-                    objects: ['book', 'books', 'spine', 'spines'],
-                    confidence_threshold: 0.25
-                }),
-                signal: AbortSignal.timeout(10000) // 10 second timeout for AI processing
-            });
-            
-            if (!response.ok) {
-                throw new Error(`ImageSorcery MCP failed: ${response.status} - ${response.statusText}`);
-            }
-            
-            const results = await response.json();
-            return results.detections || results.objects || [];
-        } catch (error) {
-            if (error.name === 'TypeError' && error.message.includes('fetch')) {
-                throw new Error('ImageSorcery MCP server not available - check if server is running');
-            }
-            throw error;
+        const tool = await this.client.findTool(this.mcpTools.objectDetection);
+        if (!tool) {
+            throw new Error('ImageSorcery MCP server offers no detection tool');
+        }
+
+        const result = await this.client.callTool(tool.name, this.buildDetectionArguments(tool, imageBase64));
+        const payload = this.client.parseToolResult(result);
+        return payload.detections || payload.objects || payload.found_objects || [];
+    }
+
+    /**
+     * The parameter that takes inline image data; a schema without properties is taken to accept 'image'.
+     * Path parameters such as input_path name files on the server's disk, so they never carry a frame.
+     */
+    getInlineImageKey(tool) {
+        const properties = (tool.inputSchema && tool.inputSchema.properties) || {};
+        if (Object.keys(properties).length === 0) return 'image';
+
+        const key = ['image', 'image_data', 'data'].find(name => name in properties);
+        if (!key) {
+            throw new Error(`ImageSorcery tool ${tool.name} takes no inline image data`);
         }
+        return key;
+    }
+
+    /**
+     * Fill the tool's own argument names from its input schema
+     */
+    buildDetectionArguments(tool, imageBase64) {
+        const properties = (tool.inputSchema && tool.inputSchema.properties) || {};
+        const pick = names => names.find(name => name in properties);
+        const args = {};
+
+        args[this.getInlineImageKey(tool)] = imageBase64;
+
+        const confidenceKey = pick(['confidence', 'confidence_threshold']);
+        if (confidenceKey) args[confidenceKey] = this.detectionOptions.confidenceThreshold;
+
+        if ('objects' in properties) args.objects = this.detectionOptions.objects;
+        if ('description' in properties) args.description = 'book spine';
+
+        return args;
     }
 
 
@@ -149,9 +207,10 @@ class MCPBookDetection {
         const isConfident = confidence > 0.2;
         
         // Also check if it's labeled as a book/spine
-        const isBookLabeled = detection.label && (
-            detection.label.toLowerCase().includes('book') ||
-            detection.label.toLowerCase().includes('spine')
+        const label = detection.label || detection.class;
+        const isBookLabeled = typeof label === 'string' && (
+            label.toLowerCase().includes('book') ||
+            label.toLowerCase().includes('spine')
         );
         
         return (isBookSized && isBookRatio && isConfident) || isBookLabeled;
@@ -0,0 +1,145 @@
+/**
+ * Motion Gate Module
+ * Cheap frame differencing that decides whether a frame needs full detection
+ */
+
+class MotionGate {
+    constructor() {
+        this.config = {
+            enabled: true,
+            thumbWidth: 64,             // Frames are compared as tiny greyscale thumbnails
+            stillThreshold: 4,          // Mean abs difference (0-255) below which nothing changed
+            shiftThreshold: 6,          // Residual after the best shift below which it was a pure pan
+            jumpThreshold: 40,          // Difference above which the camera points somewhere else
+            maxShift: 4,                // Largest pan searched, in thumbnail pixels
+            maxReuseMs: 3000            // Re-detect at least this often even when still
+        };
+
+        this.reference = null;          // Thumbnail of the last fully detected (or shifted) frame
+        this.lastDetectionTime = 0;
+    }
+
+    reset() {
+        this.reference = null;
+    }
+
+    /**
+     * Decide what to do with a frame: { action: 'detect' | 'reuse' | 'translate', dx, dy, difference }
+     * dx/dy are the camera-induced shift in frame pixels for 'translate'; reason 'jump' marks a new scene.
+     */
+    analyze(imageData, now = Date.now()) {
+        const thumb = this.makeThumbnail(imageData);
+        const decision = this.decide(thumb, now);
+        decision.thumb = thumb;
+        return decision;
+    }
+
+    decide(thumb, now) {
+        const none = { action: 'detect', dx: 0, dy: 0, difference: null };
+
+        if (!this.config.enabled || !this.reference ||
+            this.reference.width !== thumb.width || this.reference.height !== thumb.height) {
+            return none;
+        }
+
+        if (now - this.lastDetectionTime > this.config.maxReuseMs) {
+            return { ...none, reason: 'refresh' };
+        }
+
+        const difference = this.meanDifference(this.reference, thumb, 0, 0);
+        if (difference < this.config.stillThreshold) {
+            return { action: 'reuse', dx: 0, dy: 0, difference };
+        }
+
+        // Try small global shifts; a clean match means the camera panned over the same shelf
+        const best = this.findShift(this.reference, thumb);
+        if (best.difference < this.config.shiftThreshold && (best.dx !== 0 || best.dy !== 0)) {
+            return {
+                action: 'translate',
+                dx: best.dx * thumb.scale,
+                dy: best.dy * thumb.scale,
+                difference: best.difference
+            };
+        }
+
+        return {
+            ...none,
+            difference,
+            reason: difference > this.config.jumpThreshold ? 'jump' : 'change'
+        };
+    }
+
+    /**
+     * Record the frame the current results describe. Reused results still describe the reference,
+     * so it stays put and slow drift keeps adding up until it crosses stillThreshold.
+     */
+    accept(decision, now = Date.now()) {
+        if (decision.action !== 'reuse') {
+            this.reference = decision.thumb;
+        }
+        if (decision.action === 'detect') {
+            this.lastDetectionTime = now;
+        }
+    }
+
+    makeThumbnail(imageData) {
+        const scale = imageData.width / this.config.thumbWidth;
+        const width = this.config.thumbWidth;
+        const height = Math.max(1, Math.round(imageData.height / scale));
+        const pixels = new Float32Array(width * height);
+        const data = imageData.data;
+
+        // Block average of luminance per thumbnail pixel (sampled on a sparse grid)
+        const step = Math.max(1, Math.floor(scale / 3));
+        for (let ty = 0; ty < height; ty++) {
+            for (let tx = 0; tx < width; tx++) {
+                let sum = 0;
+                let count = 0;
+                const x0 = Math.floor(tx * scale);
+                const y0 = Math.floor(ty * scale);
+                for (let y = y0; y < Math.min(imageData.height, y0 + scale); y += step) {
+                    for (let x = x0; x < Math.min(imageData.width, x0 + scale); x += step) {
+                        const idx = (y * imageData.width + x) * 4;
+                        sum += 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+                        count++;
+                    }
+                }
+                pixels[ty * width + tx] = count > 0 ? sum / count : 0;
+            }
+        }
+
+        return { width, height, scale, pixels };
+    }
+
+    /**
+     * Mean absolute difference where current(x, y) is compared with reference(x - dx, y - dy)
+     */
+    meanDifference(reference, current, dx, dy) {
+        let sum = 0;
+        let count = 0;
+        for (let y = Math.max(0, dy); y < Math.min(current.height, current.height + dy); y++) {
+            for (let x = Math.max(0, dx); x < Math.min(current.width, current.width + dx); x++) {
+                sum += Math.abs(current.pixels[y * current.width + x] - reference.pixels[(y - dy) * reference.width + (x - dx)]);
+                count++;
+            }
+        }
+        return count > 0 ? sum / count : Infinity;
+    }
+
+    findShift(reference, current) {
+        let best = { dx: 0, dy: 0, difference: Infinity };
+        const range = this.config.maxShift;
+
+        for (let dy = -range; dy <= range; dy++) {
+            for (let dx = -range; dx <= range; dx++) {
+                const difference = this.meanDifference(reference, current, dx, dy);
+                if (difference < best.difference) {
+                    best = { dx, dy, difference };
+                }
+            }
+        }
+        return best;
+    }
+}
+
+export default MotionGate;
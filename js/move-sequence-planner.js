@@ -0,0 +1,387 @@
+/**
+ * Move Sequence Planner
+ * Turns a target shelf layout into an ordered list of physical moves
+ */
+
+import { shelfFootprints, unionRect } from './geometry.js';
+
+class MoveSequencePlanner {
+    constructor() {
+        this.config = {
+            capacityTolerance: 2   // Width slack (px) before a shelf counts as full
+        };
+    }
+
+    /**
+     * Plan the moves from the current books to the target layouts.
+     * books: detected books with id, shelfIndex, x, width (and optional orientation)
+     * layouts: results of ShelfLayoutPlanner.planShelf, one per shelf
+     */
+    planMoves(books, layouts) {
+        const labels = this.assignLabels(books);
+        const targets = this.buildTargets(layouts);
+        const footprints = shelfFootprints(books);
+        const current = new Map(books.map(book => [book.id, {
+            shelfIndex: book.shelfIndex || 0,
+            x: book.x,
+            footprint: footprints.get(book.id),
+            orientation: book.orientation || 'upright'
+        }]));
+
+        const keepers = this.findKeepers(books, targets);
+        const pending = books
+            .filter(book => targets.has(book.id) && !keepers.has(book.id))
+            .sort((a, b) => this.compareForMoving(a, b, targets));
+
+        const state = this.buildShelfState(books, layouts, targets, keepers, footprints);
+        const placed = new Set(keepers);
+        const staged = new Set();
+        const steps = [];
+        const unresolved = [];
+
+        while (pending.length > 0) {
+            const index = pending.findIndex(book => this.canPlace(book.id, targets.get(book.id), current, state, placed));
+
+            if (index >= 0) {
+                const [book] = pending.splice(index, 1);
+                steps.push(this.applyMove(book.id, targets.get(book.id), current, state, placed, staged, labels));
+                continue;
+            }
+
+            // Nothing can go anywhere yet: clear room by setting a book that must move anyway aside
+            const blocker = this.findBlocker(pending, targets, current, state, staged);
+            if (!blocker) {
+                unresolved.push(...pending.map(book => book.id));
+                break;
+            }
+
+            steps.push(this.applySetAside(blocker, current, state, staged, labels));
+        }
+
+        const grouped = this.groupTransfers(steps, labels);
+        grouped.forEach((step, index) => { step.step = index + 1; });
+
+        return {
+            steps: grouped,
+            moveCount: grouped.length,
+            setAsideCount: grouped.filter(step => step.action === 'set-aside').length,
+            unchangedBookIds: [...keepers],
+            unresolvedBookIds: unresolved,
+            labels: Object.fromEntries(labels)
+        };
+    }
+
+    /**
+     * Number books in reading order (shelf by shelf, left to right) so steps can say "book 7"
+     */
+    assignLabels(books) {
+        const ordered = [...books].sort((a, b) =>
+            (a.shelfIndex || 0) - (b.shelfIndex || 0) || a.x - b.x
+        );
+        return new Map(ordered.map((book, index) => [book.id, index + 1]));
+    }
+
+    buildTargets(layouts) {
+        const targets = new Map();
+
+        layouts.forEach(layout => {
+            // Floor order: every placement that stands on the shelf itself, left to right
+            const floor = layout.placements
+                .filter(p => !p.stackLevel)
+                .sort((a, b) => a.x - b.x);
+
+            layout.placements.forEach(placement => {
+                targets.set(placement.bookId, {
+                    ...placement,
+                    shelfIndex: layout.shelfIndex,
+                    floorIndex: floor.indexOf(placement),
+                    footprint: placement.stackLevel ? 0 : layout.slots[placement.slotIndex].type === 'upright' ?
+                        placement.width : layout.slots[placement.slotIndex].width
+                });
+            });
+        });
+
+        return targets;
+    }
+
+    /**
+     * Books that can stay put: pinned books, and the longest run per shelf already in target order
+     */
+    findKeepers(books, targets) {
+        const keepers = new Set();
+        const byShelf = new Map();
+
+        books.forEach(book => {
+            const target = targets.get(book.id);
+            const shelfIndex = book.shelfIndex || 0;
+            const orientation = book.orientation || 'upright';
+
+            // The layout left pinned books where they stand; they are never part of a move
+            if (target && target.pinned) {
+                keepers.add(book.id);
+                return;
+            }
+
+            if (!target || target.shelfIndex !== shelfIndex || target.orientation !== orientation || target.stackLevel) return;
+
+            if (!byShelf.has(shelfIndex)) byShelf.set(shelfIndex, []);
+            byShelf.get(shelfIndex).push(book);
+        });
+
+        byShelf.forEach(shelfBooks => {
+            const ordered = shelfBooks.sort((a, b) => a.x - b.x);
+            this.longestIncreasingRun(ordered.map(book => targets.get(book.id).floorIndex))
+                .forEach(i => keepers.add(ordered[i].id));
+        });
+
+        // A book already lying on the book it is planned on stays too, as long as that one does
+        books
+            .filter(book => book.orientation === 'flat' && book.stackId && book.stackLevel > 0)
+            .sort((a, b) => a.stackLevel - b.stackLevel)
+            .forEach(book => {
+                const target = targets.get(book.id);
+                const below = books.find(other => other.stackId === book.stackId && other.stackLevel === book.stackLevel - 1);
+                if (target && below && target.stackOn === below.id && keepers.has(below.id)) {
+                    keepers.add(book.id);
+                }
+            });
+
+        return keepers;
+    }
+
+    /**
+     * Indexes of the longest strictly increasing subsequence
+     */
+    longestIncreasingRun(values) {
+        const tails = [];
+        const previous = new Array(values.length).fill(-1);
+
+        values.forEach((value, i) => {
+            let low = 0;
+            let high = tails.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (values[tails[mid]] < value) low = mid + 1;
+                else high = mid;
+            }
+            if (low > 0) previous[i] = tails[low - 1];
+            tails[low] = i;
+        });
+
+        const run = [];
+        let i = tails.length > 0 ? tails[tails.length - 1] : -1;
+        while (i >= 0) {
+            run.unshift(i);
+            i = previous[i];
+        }
+        return run;
+    }
+
+    compareForMoving(a, b, targets) {
+        // Fill destinations left to right, building each stack from the bottom up
+        const targetA = targets.get(a.id);
+        const targetB = targets.get(b.id);
+        return targetA.shelfIndex - targetB.shelfIndex ||
+               targetA.x - targetB.x ||
+               (targetA.stackLevel || 0) - (targetB.stackLevel || 0);
+    }
+
+    buildShelfState(books, layouts, targets, keepers, footprints) {
+        const state = new Map();
+
+        layouts.forEach(layout => {
+            state.set(layout.shelfIndex, {
+                capacity: layout.shelf.width + this.config.capacityTolerance,
+                used: 0,
+                floor: []   // Placed floor units, used to describe insertion points
+            });
+        });
+
+        books.forEach(book => {
+            const shelfIndex = book.shelfIndex || 0;
+            if (!state.has(shelfIndex)) {
+                state.set(shelfIndex, { capacity: Infinity, used: 0, floor: [] });
+            }
+            state.get(shelfIndex).used += footprints.get(book.id);
+        });
+
+        // Books that stay put are valid anchors for insertion points from the start
+        keepers.forEach(bookId => {
+            const target = targets.get(bookId);
+            state.get(target.shelfIndex).floor.push({ bookId, x: target.x });
+        });
+
+        return state;
+    }
+
+    canPlace(bookId, target, current, state, placed) {
+        if (target.stackLevel) {
+            // Only onto a book that already lies in its final place
+            return placed.has(target.stackOn);
+        }
+
+        const shelf = state.get(target.shelfIndex);
+        const position = current.get(bookId);
+        const freed = position.shelfIndex === target.shelfIndex && !position.staged ? position.footprint : 0;
+
+        return shelf.used - freed + target.footprint <= shelf.capacity;
+    }
+
+    applyMove(bookId, target, current, state, placed, staged, labels) {
+        const position = current.get(bookId);
+        const from = position.staged ?
+            { staged: true } :
+            { shelfIndex: position.shelfIndex, orientation: position.orientation };
+
+        if (!position.staged) {
+            state.get(position.shelfIndex).used -= position.footprint;
+        }
+        staged.delete(bookId);
+
+        const shelf = state.get(target.shelfIndex);
+        shelf.used += target.footprint;
+
+        const afterBookId = target.stackLevel ? null : this.findInsertAfter(target, shelf, bookId);
+
+        placed.add(bookId);
+        current.set(bookId, {
+            shelfIndex: target.shelfIndex,
+            x: target.x,
+            footprint: target.footprint,
+            orientation: target.orientation
+        });
+
+        const step = {
+            action: this.getAction(from, target),
+            bookIds: [bookId],
+            from,
+            to: {
+                shelfIndex: target.shelfIndex,
+                orientation: target.orientation,
+                afterBookId,
+                onTopOf: target.stackLevel ? target.stackOn : null
+            },
+            target: { x: target.x, y: target.y, width: target.width, height: target.height }
+        };
+        step.text = this.describeStep(step, labels);
+        return step;
+    }
+
+    findInsertAfter(target, shelf, bookId) {
+        // The closest floor unit to the left that is already where it belongs
+        let afterBookId = null;
+        let bestX = -Infinity;
+
+        shelf.floor.forEach(entry => {
+            if (entry.x < target.x && entry.x > bestX) {
+                bestX = entry.x;
+                afterBookId = entry.bookId;
+            }
+        });
+
+        shelf.floor.push({ bookId, x: target.x });
+        return afterBookId;
+    }
+
+    getAction(from, target) {
+        if (target.stackLevel) return 'stack';
+        if (target.orientation === 'flat') return 'lay-flat';
+        if (target.orientation === 'faceout') return 'face-out';
+        if (from.orientation && from.orientation !== 'upright') return 'stand-upright';
+        if (from.staged || from.shelfIndex !== target.shelfIndex) return 'transfer';
+        return 'reposition';
+    }
+
+    findBlocker(pending, targets, current, state, staged) {
+        // Shelves that some pending floor move is waiting for
+        const blockedShelves = new Set(pending
+            .map(book => targets.get(book.id))
+            .filter(target => !target.stackLevel)
+            .map(target => target.shelfIndex));
+
+        // Prefer the widest pending book sitting on a blocked shelf
+        const candidates = pending
+            .filter(book => !staged.has(book.id))
+            .filter(book => blockedShelves.has(current.get(book.id).shelfIndex))
+            .sort((a, b) => current.get(b.id).footprint - current.get(a.id).footprint);
+
+        return candidates.length > 0 ? candidates[0].id : null;
+    }
+
+    applySetAside(bookId, current, state, staged, labels) {
+        const position = current.get(bookId);
+        state.get(position.shelfIndex).used -= position.footprint;
+        staged.add(bookId);
+        current.set(bookId, { ...position, staged: true });
+
+        const step = {
+            action: 'set-aside',
+            bookIds: [bookId],
+            from: { shelfIndex: position.shelfIndex, orientation: position.orientation },
+            to: { staged: true },
+            target: null
+        };
+        step.text = this.describeStep(step, labels);
+        return step;
+    }
+
+    /**
+     * Merge runs of neighbouring books going to the same shelf into one step
+     */
+    groupTransfers(steps, labels) {
+        const grouped = [];
+
+        steps.forEach(step => {
+            const last = grouped[grouped.length - 1];
+            const lastBookId = last ? last.bookIds[last.bookIds.length - 1] : null;
+
+            const canMerge = last &&
+                step.action === 'transfer' && last.action === 'transfer' &&
+                !step.from.staged && !last.from.staged &&
+                step.from.shelfIndex === last.from.shelfIndex &&
+                step.to.shelfIndex === last.to.shelfIndex &&
+                step.to.afterBookId === lastBookId &&
+                labels.get(step.bookIds[0]) === labels.get(lastBookId) + 1;
+
+            if (canMerge) {
+                last.bookIds.push(step.bookIds[0]);
+                last.target = unionRect(last.target, step.target);
+                last.text = this.describeStep(last, labels);
+            } else {
+                grouped.push(step);
+            }
+        });
+
+        return grouped;
+    }
+
+    describeStep(step, labels) {
+        const numbers = step.bookIds.map(id => labels.get(id));
+        const subject = numbers.length > 1 ?
+            `books ${numbers[0]}–${numbers[numbers.length - 1]}` :
+            `book ${numbers[0]}`;
+        const shelfName = index => `shelf ${index + 1}`;
+        const position = step.to.afterBookId ?
+            `after book ${labels.get(step.to.afterBookId)}` :
+            'at the left end';
+
+        switch (step.action) {
+            case 'set-aside':
+                return `Take ${subject} off ${shelfName(step.from.shelfIndex)} and set it aside`;
+            case 'stack':
+                return `Take ${subject}, lay it flat on top of book ${labels.get(step.to.onTopOf)}`;
+            case 'lay-flat':
+                return `Take ${subject}, lay it flat on ${shelfName(step.to.shelfIndex)} ${position}`;
+            case 'face-out':
+                return `Turn ${subject} face-out on ${shelfName(step.to.shelfIndex)} ${position}`;
+            case 'stand-upright':
+                return `Stand ${subject} upright on ${shelfName(step.to.shelfIndex)} ${position}`;
+            case 'transfer':
+                return `Move ${subject} to ${shelfName(step.to.shelfIndex)} ${position}`;
+            default:
+                return `Move ${subject} ${position}`;
+        }
+    }
+}
+
+export default MoveSequencePlanner;
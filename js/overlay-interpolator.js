@@ -0,0 +1,107 @@
+/**
+ * Overlay Interpolator
+ * Predicts where detected boxes are between detection results so the overlay can redraw every display frame
+ */
+
+class OverlayInterpolator {
+    constructor() {
+        this.config = {
+            maxExtrapolation: 500,  // Stop predicting motion this long (ms) after the frame was captured
+            smoothing: 60           // Time constant (ms) for easing displayed boxes toward predictions
+        };
+
+        this.results = null;
+        this.frameTime = 0;         // performance.now() at which the latest results' frame was captured
+        this.displayed = new Map(); // bookId -> rect currently on screen
+        this.lastRenderTime = 0;
+    }
+
+    /**
+     * Take new detection results; frameTime is when their frame was captured (main-thread clock)
+     */
+    update(results, frameTime) {
+        this.results = results;
+        this.frameTime = frameTime;
+
+        // Forget books that are gone so a returning id doesn't glide in from a stale spot
+        const ids = new Set(results.books.map(book => book.id));
+        [...this.displayed.keys()].forEach(id => {
+            if (!ids.has(id)) this.displayed.delete(id);
+        });
+    }
+
+    hasResults() {
+        return this.results !== null;
+    }
+
+    /**
+     * Where a book should be at time now, from its last box and tracker velocity (px per ms)
+     */
+    predict(book, now) {
+        const age = Math.min(Math.max(0, now - this.frameTime), this.config.maxExtrapolation);
+        return {
+            x: book.x + (book.vx || 0) * age,
+            y: book.y + (book.vy || 0) * age,
+            width: book.width,
+            height: book.height
+        };
+    }
+
+    /**
+     * Books, suggestions and preview positioned for the display frame at time now
+     */
+    getFrame(now) {
+        if (!this.results) return null;
+
+        const dt = this.lastRenderTime ? now - this.lastRenderTime : 0;
+        this.lastRenderTime = now;
+        const blend = dt > 0 ? 1 - Math.exp(-dt / this.config.smoothing) : 1;
+
+        const offsets = new Map();
+        const books = this.results.books.map(book => {
+            const target = this.predict(book, now);
+            const current = this.displayed.get(book.id) || target;
+            const rect = {
+                x: current.x + (target.x - current.x) * blend,
+                y: current.y + (target.y - current.y) * blend,
+                width: current.width + (target.width - current.width) * blend,
+                height: current.height + (target.height - current.height) * blend
+            };
+
+            this.displayed.set(book.id, rect);
+            offsets.set(book.id, { dx: rect.x - book.x, dy: rect.y - book.y });
+            const corners = book.corners && book.corners.map(point => ({
+                x: point.x + rect.x - book.x,
+                y: point.y + rect.y - book.y
+            }));
+            return { ...book, ...rect, corners };
+        });
+
+        // Suggestions follow their book; shelf-level ones follow the average camera motion
+        const average = this.getAverageOffset(offsets);
+        const shift = (item, bookId) => {
+            const offset = offsets.get(bookId) || average;
+            return { ...item, x: item.x + offset.dx, y: item.y + offset.dy };
+        };
+
+        return {
+            books,
+            suggestions: this.results.suggestions.map(suggestion => shift(suggestion, suggestion.bookId)),
+            preview: (this.results.preview || []).map(rect => shift(rect, null))
+        };
+    }
+
+    getAverageOffset(offsets) {
+        if (offsets.size === 0) return { dx: 0, dy: 0 };
+
+        let dx = 0;
+        let dy = 0;
+        offsets.forEach(offset => {
+            dx += offset.dx;
+            dy += offset.dy;
+        });
+        return { dx: dx / offsets.size, dy: dy / offsets.size };
+    }
+}
+
+export default OverlayInterpolator;
@@ -0,0 +1,400 @@
+/**
+ * Panorama Scanner
+ * Registers frames from a sweep across the bookcase and stitches their detections into one case-wide model
+ */
+
+import { intersectionArea, intersectionOverUnion } from './geometry.js';
+
+class PanoramaScanner {
+    constructor() {
+        this.config = {
+            profileStep: 2,             // Column/row profiles are sampled every Nth pixel
+            minOverlap: 0.3,            // Consecutive frames must share at least this share of the view
+            minCorrelation: 0.8,        // Profile match below which the frame is not registered
+            maxVerticalDrift: 0.1,      // Largest up/down hand drift searched, as a share of frame height
+            mergeIoU: 0.3,              // Boxes overlapping this much in case coordinates are the same book
+            duplicateOverlap: 0.5,      // Intersection over the smaller box that still marks a leftover duplicate
+            edgeMargin: 4,              // Books this close (px) to a frame side are cut off by it
+            minSeenRatio: 0.34          // Share of covering frames a book must appear in to be kept
+        };
+
+        this.active = false;
+        this.reset();
+    }
+
+    reset() {
+        this.frames = [];               // { x, y, width, height } of every registered frame in case coordinates
+        this.books = [];
+        this.shelves = [];
+        this.reference = null;          // Profiles and offset of the last registered frame
+        this.lost = false;
+        this.nextId = 1;
+        this.nextStackId = 1;
+    }
+
+    start() {
+        this.reset();
+        this.active = true;
+        console.log('🧭 Panorama scan started');
+    }
+
+    /**
+     * Register a frame against the previous one and merge its books (frame coordinates) into the case
+     */
+    addFrame(imageData, books, shelves = []) {
+        if (!this.active) {
+            throw new Error('No panorama scan in progress');
+        }
+
+        const profiles = this.makeProfiles(imageData);
+        let offset = { x: 0, y: 0, correlation: 1 };
+
+        if (this.reference) {
+            const shift = this.register(this.reference.profiles, profiles);
+            if (!shift) {
+                // Too far from the last registered frame; wait for the user to pan back over it
+                this.lost = true;
+                return this.getStatus();
+            }
+            offset = {
+                x: this.reference.x + shift.dx,
+                y: this.reference.y + shift.dy,
+                correlation: shift.correlation
+            };
+        }
+
+        this.lost = false;
+        this.reference = { profiles, x: offset.x, y: offset.y };
+        const frame = { x: offset.x, y: offset.y, width: imageData.width, height: imageData.height };
+        this.frames.push(frame);
+
+        this.mergeBooks(books, frame);
+        this.mergeShelves(shelves, frame);
+        return this.getStatus(offset.correlation);
+    }
+
+    getStatus(correlation = null) {
+        const extent = this.getExtent();
+        return {
+            scanning: this.active,
+            frames: this.frames.length,
+            books: this.books.length,
+            width: extent.width,
+            height: extent.height,
+            lost: this.lost,
+            correlation
+        };
+    }
+
+    /**
+     * End the sweep: { books, shelves, width, height, frames } with the case's top-left at (0, 0)
+     */
+    finish() {
+        this.active = false;
+        const extent = this.getExtent();
+        const books = this.removeDuplicates(this.books.filter(book => this.isConfirmed(book)));
+
+        const shiftPlank = plank => plank ? {
+            topY: plank.topY - extent.y,
+            bottomY: plank.bottomY - extent.y,
+            left: plank.left - extent.x,
+            right: plank.right - extent.x
+        } : null;
+        const shelves = [...this.shelves]
+            .sort((a, b) => a.topY - b.topY)
+            .map(shelf => ({
+                y: shelf.bottomY - extent.y,
+                strength: shelf.strength,
+                topY: shelf.topY - extent.y,
+                bottomY: shelf.bottomY - extent.y,
+                clearHeight: shelf.bottomY - shelf.topY,
+                topPlank: shiftPlank(shelf.topPlank),
+                bottomPlank: shiftPlank(shelf.bottomPlank)
+            }));
+
+        const model = {
+            books: books.map(book => {
+                const { seen, clipped, ...fields } = book;
+                const placed = {
+                    ...fields,
+                    x: book.x - extent.x,
+                    y: book.y - extent.y,
+                    corners: book.corners && book.corners.map(point => ({ x: point.x - extent.x, y: point.y - extent.y })),
+                    sightings: seen,
+                    stable: true
+                };
+                // Per-frame shelf numbers only counted the shelves that frame could see
+                const centerY = placed.y + placed.height / 2;
+                const shelfIndex = shelves.findIndex(shelf => centerY >= shelf.topY && centerY < shelf.bottomY);
+                if (shelfIndex >= 0) placed.shelfIndex = shelfIndex;
+                else delete placed.shelfIndex;
+                return placed;
+            }),
+            shelves,
+            width: extent.width,
+            height: extent.height,
+            frames: this.frames.length
+        };
+
+        console.log(`🧭 Panorama scan finished: ${model.books.length} books over ${model.frames} frames, ${Math.round(model.width)}px wide`);
+        return model;
+    }
+
+    getExtent() {
+        if (this.frames.length === 0) return { x: 0, y: 0, width: 0, height: 0 };
+
+        const left = Math.min(...this.frames.map(frame => frame.x));
+        const top = Math.min(...this.frames.map(frame => frame.y));
+        const right = Math.max(...this.frames.map(frame => frame.x + frame.width));
+        const bottom = Math.max(...this.frames.map(frame => frame.y + frame.height));
+        return { x: left, y: top, width: right - left, height: bottom - top };
+    }
+
+    /**
+     * Mean luminance of every sampled column and row; a sideways sweep slides the column profile
+     */
+    makeProfiles(imageData) {
+        const { width, height, data } = imageData;
+        const step = this.config.profileStep;
+        const columns = new Float32Array(Math.floor(width / step));
+        const rows = new Float32Array(Math.floor(height / step));
+        const columnCounts = new Uint16Array(columns.length);
+        const rowCounts = new Uint16Array(rows.length);
+
+        for (let y = 0; y < rows.length * step; y += step) {
+            for (let x = 0; x < columns.length * step; x += step) {
+                const idx = (y * width + x) * 4;
+                const lum = 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+                columns[x / step] += lum;
+                columnCounts[x / step]++;
+                rows[y / step] += lum;
+                rowCounts[y / step]++;
+            }
+        }
+
+        for (let i = 0; i < columns.length; i++) columns[i] /= columnCounts[i] || 1;
+        for (let i = 0; i < rows.length; i++) rows[i] /= rowCounts[i] || 1;
+        return { columns, rows };
+    }
+
+    /**
+     * Camera motion from the reference frame to this one, in frame pixels, or null when they don't overlap
+     */
+    register(reference, current) {
+        const step = this.config.profileStep;
+        const horizontal = this.matchProfiles(reference.columns, current.columns, 1 - this.config.minOverlap);
+        if (!horizontal || horizontal.correlation < this.config.minCorrelation) return null;
+
+        // Planks run the full width, so the row profile still lines up across a sideways move
+        const vertical = this.matchProfiles(reference.rows, current.rows, this.config.maxVerticalDrift);
+        return {
+            dx: horizontal.shift * step,
+            dy: vertical ? vertical.shift * step : 0,
+            correlation: horizontal.correlation
+        };
+    }
+
+    /**
+     * Shift s maximising the normalised correlation of current[i] with reference[i + s], for |s| <= maxShare * length
+     */
+    matchProfiles(reference, current, maxShare) {
+        const length = Math.min(reference.length, current.length);
+        const range = Math.floor(length * maxShare);
+        let best = null;
+
+        for (let shift = -range; shift <= range; shift++) {
+            const start = Math.max(0, -shift);
+            const end = Math.min(length, length - shift);
+            const correlation = this.correlate(reference, current, shift, start, end);
+            if (!best || correlation > best.correlation) {
+                best = { shift, correlation };
+            }
+        }
+        return best;
+    }
+
+    correlate(reference, current, shift, start, end) {
+        const count = end - start;
+        if (count < 2) return -1;
+
+        let sumA = 0;
+        let sumB = 0;
+        for (let i = start; i < end; i++) {
+            sumA += reference[i + shift];
+            sumB += current[i];
+        }
+        const meanA = sumA / count;
+        const meanB = sumB / count;
+
+        let covariance = 0;
+        let varianceA = 0;
+        let varianceB = 0;
+        for (let i = start; i < end; i++) {
+            const a = reference[i + shift] - meanA;
+            const b = current[i] - meanB;
+            covariance += a * b;
+            varianceA += a * a;
+            varianceB += b * b;
+        }
+        return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+    }
+
+    /**
+     * Fold one frame's books into the case; a book cut off by the frame side never overrides a whole view of it
+     */
+    mergeBooks(books, frame) {
+        const claimed = new Set();
+        const stacks = new Map();       // Frame stack id -> { members, id } so a stack keeps one id across frames
+        const margin = this.config.edgeMargin;
+
+        books.forEach(book => {
+            const placed = {
+                ...book,
+                x: book.x + frame.x,
+                y: book.y + frame.y,
+                corners: book.corners && book.corners.map(point => ({ x: point.x + frame.x, y: point.y + frame.y })),
+                clipped: book.x <= margin || book.x + book.width >= frame.width - margin
+            };
+
+            let match = null;
+            let bestIoU = this.config.mergeIoU;
+            this.books.forEach(existing => {
+                if (claimed.has(existing)) return;
+                const iou = intersectionOverUnion(existing, placed);
+                if (iou >= bestIoU) {
+                    bestIoU = iou;
+                    match = existing;
+                }
+            });
+
+            const stack = book.orientation === 'flat' && book.stackId ?
+                stacks.get(book.stackId) || { members: [], id: null } : null;
+            if (stack) stacks.set(book.stackId, stack);
+
+            if (!match) {
+                const created = { ...placed, id: `scan_${this.nextId++}`, seen: 1 };
+                this.books.push(created);
+                claimed.add(created);
+                if (stack) stack.members.push(created);
+                return;
+            }
+
+            claimed.add(match);
+            const { id, seen, stackId } = match;
+            if (stack) {
+                stack.id = stack.id || (match.orientation === 'flat' ? stackId : null);
+                stack.members.push(match);
+            }
+            if (match.clipped && !placed.clipped) {
+                Object.assign(match, placed);
+            } else if (match.clipped === placed.clipped) {
+                // Average the box over every whole sighting; the outline follows the averaged box
+                const weight = 1 / (seen + 1);
+                const x = match.x + (placed.x - match.x) * weight;
+                const y = match.y + (placed.y - match.y) * weight;
+                Object.assign(match, placed, {
+                    x,
+                    y,
+                    width: match.width + (placed.width - match.width) * weight,
+                    height: match.height + (placed.height - match.height) * weight,
+                    corners: placed.corners && placed.corners.map(point => ({ x: point.x + x - placed.x, y: point.y + y - placed.y })),
+                    confidence: (match.confidence || 0.5) + ((placed.confidence || 0.5) - (match.confidence || 0.5)) * weight
+                });
+            }
+            match.id = id;
+            match.seen = seen + 1;
+        });
+
+        stacks.forEach(stack => {
+            const stackId = stack.id || `scan_stack${this.nextStackId++}`;
+            stack.members.forEach(member => {
+                member.stackId = stackId;
+            });
+        });
+    }
+
+    /**
+     * Shelf openings line up across frames; average the ones that overlap and keep the rest
+     */
+    mergeShelves(shelves, frame) {
+        const shiftPlank = plank => plank ? {
+            topY: plank.topY + frame.y,
+            bottomY: plank.bottomY + frame.y,
+            left: plank.left + frame.x,
+            right: plank.right + frame.x
+        } : null;
+
+        shelves.forEach(shelf => {
+            const placed = {
+                topY: shelf.topY + frame.y,
+                bottomY: shelf.bottomY + frame.y,
+                strength: shelf.strength,
+                topPlank: shiftPlank(shelf.topPlank),
+                bottomPlank: shiftPlank(shelf.bottomPlank)
+            };
+
+            const match = this.shelves.find(existing =>
+                Math.min(existing.bottomY, placed.bottomY) - Math.max(existing.topY, placed.topY) >
+                0.5 * Math.min(existing.bottomY - existing.topY, placed.bottomY - placed.topY)
+            );
+
+            if (!match) {
+                this.shelves.push({ ...placed, seen: 1 });
+                return;
+            }
+
+            const weight = 1 / (match.seen + 1);
+            match.topY += (placed.topY - match.topY) * weight;
+            match.bottomY += (placed.bottomY - match.bottomY) * weight;
+            match.strength = Math.max(match.strength || 0, placed.strength || 0);
+            match.topPlank = this.mergePlank(match.topPlank, placed.topPlank);
+            match.bottomPlank = this.mergePlank(match.bottomPlank, placed.bottomPlank);
+            match.seen++;
+        });
+    }
+
+    /**
+     * Each frame sees part of a plank; across the sweep it runs from the leftmost to the rightmost end seen
+     */
+    mergePlank(existing, placed) {
+        if (!existing || !placed) return existing || placed;
+        return {
+            ...existing,
+            left: Math.min(existing.left, placed.left),
+            right: Math.max(existing.right, placed.right)
+        };
+    }
+
+    /**
+     * A book seen in only a few of the frames that covered it was most likely a false edge
+     */
+    isConfirmed(book) {
+        const centerX = book.x + book.width / 2;
+        const centerY = book.y + book.height / 2;
+        const covering = this.frames.filter(frame =>
+            centerX >= frame.x && centerX < frame.x + frame.width &&
+            centerY >= frame.y && centerY < frame.y + frame.height
+        ).length;
+        return covering === 0 || book.seen / covering >= this.config.minSeenRatio;
+    }
+
+    /**
+     * Registration error can leave two entries for one spine; keep the one seen more often
+     */
+    removeDuplicates(books) {
+        const ranked = [...books].sort((a, b) => b.seen - a.seen || (b.confidence || 0) - (a.confidence || 0));
+        const kept = [];
+
+        ranked.forEach(book => {
+            const duplicate = kept.some(other => {
+                const overlap = intersectionArea(book, other);
+                return overlap > this.config.duplicateOverlap * Math.min(book.width * book.height, other.width * other.height);
+            });
+            if (!duplicate) kept.push(book);
+        });
+
+        return kept.sort((a, b) => a.y - b.y || a.x - b.x);
+    }
+}
+
+export default PanoramaScanner;
@@ -0,0 +1,187 @@
+/**
+ * Perspective Rectifier
+ * Finds the bookcase plane, from plank lines and side panels or four tapped corners, for a straight-on warp
+ */
+
+class PerspectiveRectifier {
+    constructor() {
+        this.config = {
+            mode: 'off',                // 'off', 'auto' (planks and panels) or 'manual' (tapped corners)
+            maxTilt: 15,                // Steepest plank or panel line searched, in degrees
+            tiltStep: 1.5,
+            edgeThreshold: 25,          // Luminance step that counts as an edge
+            minPlankCoverage: 0.5,      // Share of a plank line that must sit on an edge
+            minPanelCoverage: 0.8,      // Side panels run the full height; spine edges stop at every plank
+            minCorrection: 4,           // Corners this close (px) to a plain rectangle need no warp
+            reestimateMs: 1000,         // Auto mode: how often to look for the planks again
+            smoothing: 0.5              // Weight of a new estimate against the previous corners
+        };
+
+        this.corners = null;            // [tl, tr, br, bl] in frame pixels, or null for no warp
+        this.lastEstimateTime = 0;
+    }
+
+    /**
+     * 'auto' estimates the plane from the frame; 'manual' takes four corner points in any order
+     */
+    setMode(mode, corners = null) {
+        if (!['off', 'auto', 'manual'].includes(mode)) {
+            throw new Error(`Unknown rectification mode: ${mode}`);
+        }
+        if (mode === 'manual' && (!corners || corners.length !== 4)) {
+            throw new Error('Manual rectification needs four corner points');
+        }
+
+        this.config.mode = mode;
+        this.corners = mode === 'manual' ? this.orderCorners(corners) : null;
+        this.lastEstimateTime = 0;
+        console.log('📐 Rectification:', mode);
+    }
+
+    getStatus() {
+        return { mode: this.config.mode, corners: this.corners };
+    }
+
+    /**
+     * Corners to warp this frame by, or null to leave it as it is
+     */
+    update(imageData, now = Date.now()) {
+        if (this.config.mode !== 'auto') return this.corners;
+        if (now - this.lastEstimateTime < this.config.reestimateMs) return this.corners;
+        this.lastEstimateTime = now;
+
+        const estimate = this.estimate(imageData);
+        if (!estimate) return this.corners;
+
+        if (this.isRectangle(estimate)) {
+            this.corners = null;
+        } else if (this.corners) {
+            const weight = this.config.smoothing;
+            this.corners = this.corners.map((corner, i) => ({
+                x: corner.x + (estimate[i].x - corner.x) * weight,
+                y: corner.y + (estimate[i].y - corner.y) * weight
+            }));
+        } else {
+            this.corners = estimate;
+        }
+        return this.corners;
+    }
+
+    /**
+     * Bookcase quad from the outermost plank lines and side panels; frame edges stand in for missing panels
+     */
+    estimate(imageData) {
+        const { width, height } = imageData;
+        const luminance = this.toLuminance(imageData);
+
+        const planks = this.findLines(luminance, width, height, 'horizontal');
+        if (planks.length < 2) return null;
+
+        const top = planks[0];
+        const bottom = planks[planks.length - 1];
+        if (bottom.offset - top.offset < height * 0.25) return null;
+
+        const panels = this.findLines(luminance, width, height, 'vertical', top, bottom);
+        const left = panels.find(line => line.offset < width * 0.3) || { offset: 0, slope: 0 };
+        const right = [...panels].reverse().find(line => line.offset > width * 0.7) || { offset: width, slope: 0 };
+
+        const center = { x: width / 2, y: height / 2 };
+        return [
+            this.intersect(top, left, center),
+            this.intersect(top, right, center),
+            this.intersect(bottom, right, center),
+            this.intersect(bottom, left, center)
+        ];
+    }
+
+    toLuminance(imageData) {
+        const { width, height, data } = imageData;
+        const luminance = new Float32Array(width * height);
+        for (let i = 0; i < luminance.length; i++) {
+            luminance[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        }
+        return luminance;
+    }
+
+    /**
+     * Straight edge lines over a fan of tilts, strongest per position.
+     * Horizontal lines: y = offset + (x - cx) * slope. Vertical lines: x = offset + (y - cy) * slope,
+     * searched only between the given top and bottom plank lines.
+     */
+    findLines(luminance, width, height, direction, top = null, bottom = null) {
+        const horizontal = direction === 'horizontal';
+        const along = horizontal ? width : height;
+        const across = horizontal ? height : width;
+        const center = along / 2;
+        const gap = 2;
+        const minCoverage = horizontal ? this.config.minPlankCoverage : this.config.minPanelCoverage;
+
+        // Panels are only measured where the case is, between its top and bottom planks
+        const start = horizontal ? along * 0.05 : top.offset + (bottom.offset - top.offset) * 0.1;
+        const end = horizontal ? along * 0.95 : bottom.offset - (bottom.offset - top.offset) * 0.1;
+        const sampleStep = horizontal ? 8 : 4;
+
+        const pixel = (a, c) => (horizontal ? luminance[c * width + a] : luminance[a * width + c]);
+        const candidates = [];
+
+        for (let offset = gap; offset < across - gap; offset += 2) {
+            let best = null;
+
+            for (let angle = -this.config.maxTilt; angle <= this.config.maxTilt; angle += this.config.tiltStep) {
+                const slope = Math.tan(angle * Math.PI / 180);
+                let taken = 0;
+                let covered = 0;
+
+                for (let a = Math.round(start); a < end; a += sampleStep) {
+                    const c = Math.round(offset + (a - center) * slope);
+                    if (c < gap || c >= across - gap) continue;
+                    taken++;
+                    if (Math.abs(pixel(a, c - gap) - pixel(a, c + gap)) > this.config.edgeThreshold) covered++;
+                }
+
+                const coverage = taken > 0 ? covered / taken : 0;
+                if (!best || coverage > best.coverage ||
+                    (coverage === best.coverage && Math.abs(slope) < Math.abs(best.slope))) {
+                    best = { offset, slope, coverage };
+                }
+            }
+
+            if (best && best.coverage >= minCoverage) candidates.push(best);
+        }
+
+        // One line per edge: the best-covered candidate within a few pixels
+        return candidates.filter(line => !candidates.some(other =>
+            other !== line && Math.abs(other.offset - line.offset) <= 6 &&
+            (other.coverage > line.coverage || (other.coverage === line.coverage && other.offset < line.offset))
+        ));
+    }
+
+    intersect(horizontal, vertical, center) {
+        // y = oh + (x - cx) * sh and x = ov + (y - cy) * sv
+        const x = (vertical.offset + (horizontal.offset - center.x * horizontal.slope - center.y) * vertical.slope) /
+            (1 - horizontal.slope * vertical.slope);
+        return { x, y: horizontal.offset + (x - center.x) * horizontal.slope };
+    }
+
+    /**
+     * Tapped points in any order as [tl, tr, br, bl]
+     */
+    orderCorners(points) {
+        const byY = [...points].sort((a, b) => a.y - b.y);
+        const [tl, tr] = byY.slice(0, 2).sort((a, b) => a.x - b.x);
+        const [bl, br] = byY.slice(2).sort((a, b) => a.x - b.x);
+        return [tl, tr, br, bl].map(point => ({ x: point.x, y: point.y }));
+    }
+
+    /**
+     * A quad that is already an upright rectangle only needs cropping, not rectifying
+     */
+    isRectangle(corners) {
+        const [tl, tr, br, bl] = corners;
+        const tolerance = this.config.minCorrection;
+        return Math.abs(tl.y - tr.y) < tolerance && Math.abs(bl.y - br.y) < tolerance &&
+               Math.abs(tl.x - bl.x) < tolerance && Math.abs(tr.x - br.x) < tolerance;
+    }
+}
+
+export default PerspectiveRectifier;
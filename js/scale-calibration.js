@@ -0,0 +1,208 @@
+/**
+ * Scale Calibration Module
+ * Estimates a pixels-per-millimetre scale for each frame from known references
+ */
+
+import BookDimensionsDB from './book-dimensions-db.js';
+
+class ScaleCalibration {
+    constructor(dimensionsDB = new BookDimensionsDB()) {
+        this.dimensionsDB = dimensionsDB;
+
+        this.config = {
+            smoothing: 0.3,          // Weight of the newest estimate in the running scale
+            minBooksForEstimate: 3,  // Book-type calibration needs agreement between several books
+            scaleTolerance: 0.12,    // Books agree when their implied scales are within 12%
+            minScale: 0.2,           // px/mm bounds for a plausible camera distance
+            maxScale: 12
+        };
+
+        this.shelfWidthMm = null;
+        this.pixelsPerMm = null;
+        this.source = 'none';
+        this.confidence = 0;
+    }
+
+    /**
+     * Use a user-entered shelf width (mm) as the reference
+     */
+    setShelfWidthReference(widthMm) {
+        this.shelfWidthMm = widthMm > 0 ? widthMm : null;
+        this.pixelsPerMm = null; // Re-seed from the new reference on the next frame
+    }
+
+    clearReferences() {
+        this.shelfWidthMm = null;
+        this.pixelsPerMm = null;
+        this.source = 'none';
+        this.confidence = 0;
+    }
+
+    /**
+     * Forget the running scale (not the references) so the next estimate seeds it afresh
+     */
+    resetScale() {
+        this.pixelsPerMm = null;
+    }
+
+    isCalibrated() {
+        return this.pixelsPerMm !== null;
+    }
+
+    /**
+     * Work out the scale for the current frame and blend it into the running estimate
+     */
+    calibrate(books, shelves) {
+        const estimate = this.estimateFromShelfWidth(shelves) ||
+                         this.estimateFromBookTypes(books);
+
+        if (!estimate || estimate.pixelsPerMm < this.config.minScale || estimate.pixelsPerMm > this.config.maxScale) {
+            return this.getCalibration();
+        }
+
+        if (this.pixelsPerMm === null || estimate.source !== this.source) {
+            this.pixelsPerMm = estimate.pixelsPerMm;
+        } else {
+            const alpha = this.config.smoothing;
+            this.pixelsPerMm = this.pixelsPerMm * (1 - alpha) + estimate.pixelsPerMm * alpha;
+        }
+
+        this.source = estimate.source;
+        this.confidence = estimate.confidence;
+
+        return this.getCalibration();
+    }
+
+    estimateFromShelfWidth(shelves) {
+        if (!this.shelfWidthMm) return null;
+
+        // Measure the case where its planks run; shelf regions span the whole frame, not the case
+        const spans = shelves
+            .filter(shelf => shelf.caseSpan)
+            .map(shelf => shelf.caseSpan.right - shelf.caseSpan.left);
+        if (spans.length === 0) return null;
+
+        const shelfWidthPx = Math.max(...spans);
+        if (!shelfWidthPx) return null;
+
+        return {
+            pixelsPerMm: shelfWidthPx / this.shelfWidthMm,
+            source: 'shelfWidth',
+            confidence: 0.9
+        };
+    }
+
+    /**
+     * Find the scale at which the most books match a standard type's height and spine
+     */
+    estimateFromBookTypes(books) {
+        if (books.length < this.config.minBooksForEstimate) return null;
+
+        const types = Object.values(this.dimensionsDB.bookTypes);
+
+        // Every (book, type) pair implies a scale from the type's ideal height
+        const candidates = [];
+        books.forEach(book => {
+            types.forEach(type => {
+                const idealHeightMm = this.dimensionsDB.toMillimetres(type.height.ideal);
+                candidates.push((book.spineLength || book.height) / idealHeightMm);
+            });
+        });
+
+        let best = null;
+        candidates.forEach(scale => {
+            const supporting = books
+                .map(book => this.getImpliedScale(book, scale, types))
+                .filter(implied => implied !== null);
+
+            if (!best || supporting.length > best.supporting.length) {
+                best = { scale, supporting };
+            }
+        });
+
+        if (!best || best.supporting.length < this.config.minBooksForEstimate) return null;
+
+        // Median of the agreeing books is robust against a few mismatched types
+        const sorted = best.supporting.sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+
+        return {
+            pixelsPerMm: median,
+            source: 'bookTypes',
+            confidence: Math.min(0.8, best.supporting.length / books.length)
+        };
+    }
+
+    /**
+     * Scale implied by the closest-matching type for a book at a candidate scale, or null
+     */
+    getImpliedScale(book, scale, types) {
+        let bestScale = null;
+        let bestError = Infinity;
+
+        types.forEach(type => {
+            const heightMm = this.dimensionsDB.toMillimetres(type.height.ideal);
+            // Leaning books: measure along the spine, not the upright bounding box
+            const implied = (book.spineLength || book.height) / heightMm;
+            const error = Math.abs(implied - scale) / scale;
+
+            const spineMm = (book.spineWidth || book.width) / implied;
+            const spineFits = spineMm >= this.dimensionsDB.toMillimetres(type.spine.min) &&
+                              spineMm <= this.dimensionsDB.toMillimetres(type.spine.max);
+
+            if (spineFits && error < bestError) {
+                bestError = error;
+                bestScale = implied;
+            }
+        });
+
+        return bestError <= this.config.scaleTolerance ? bestScale : null;
+    }
+
+    /**
+     * Attach millimetre dimensions to books and shelves using the current scale
+     */
+    applyScale(books, shelves = []) {
+        if (!this.isCalibrated()) {
+            return { books, shelves };
+        }
+
+        const scale = this.pixelsPerMm;
+
+        const scaledBooks = books.map(book => {
+            const dimensionsMm = {
+                width: (book.spineWidth || book.width) / scale,
+                height: (book.spineLength || book.height) / scale,
+                thickness: (book.estimatedThickness || book.width * 0.6) / scale
+            };
+
+            return {
+                ...book,
+                dimensionsMm,
+                dimensionValidation: this.dimensionsDB.validateBookDimensionsMm(dimensionsMm.width, dimensionsMm.height, dimensionsMm.width)
+            };
+        });
+
+        const scaledShelves = shelves.map(shelf => ({
+            ...shelf,
+            dimensionsMm: {
+                width: shelf.width / scale,
+                height: shelf.height / scale,
+                depth: this.dimensionsDB.toMillimetres(shelf.depth || this.dimensionsDB.shelfStandards.depth.ideal)
+            }
+        }));
+
+        return { books: scaledBooks, shelves: scaledShelves };
+    }
+
+    getCalibration() {
+        return {
+            pixelsPerMm: this.pixelsPerMm,
+            source: this.source,
+            confidence: this.confidence,
+            calibrated: this.isCalibrated()
+        };
+    }
+}
+
+export default ScaleCalibration;
@@ -0,0 +1,402 @@
+/**
+ * Shelf Layout Planner
+ * Builds a complete target arrangement for a whole shelf instead of per-book hints
+ */
+
+import BookDimensionsDB from './book-dimensions-db.js';
+import { measureShelfWidth } from './geometry.js';
+
+class ShelfLayoutPlanner {
+    constructor(dimensionsDB = new BookDimensionsDB()) {
+        this.dimensionsDB = dimensionsDB;
+
+        this.config = {
+            minClearance: 20,           // Headroom needed to pull a book out
+            stackHeightTolerance: 0.2,  // Books in one stack may be up to 20% shorter than the base
+            maxStackBooks: 8,
+            minStackSaving: 5,          // Minimum width a stack must save to be worth building
+            maxFaceOutSlots: 1,
+            faceOutSpaceShare: 0.5      // Face-out slots may use up to half of the width saved by stacking
+        };
+    }
+
+    /**
+     * Plan a full target layout for one shelf.
+     * shelf: { x, bottomY, width, height, depth, shelfIndex } in the same units as the books, except depth,
+     * which is in dimension-table units (the calibrated dimensionsMm.depth wins when present)
+     * constraints: optional ArrangementConstraints (pinned books, groups, sort orders)
+     */
+    planShelf(books, shelf, constraints = null) {
+        const shelfX = shelf.x || 0;
+        const bottomY = shelf.bottomY !== undefined ? shelf.bottomY : shelf.height;
+        const clearHeight = shelf.height - this.config.minClearance;
+
+        const metrics = books
+            .map(book => this.getBookMetrics(book))
+            .sort((a, b) => a.x - b.x);
+
+        const currentWidth = this.measureCurrentWidth(books);
+
+        // Pinned and grouped books stay upright in the row; a sorted shelf only stacks what cannot stand
+        const shelfIndex = shelf.shelfIndex || 0;
+        const sorted = constraints ? constraints.getSortOrder(shelfIndex) !== null : false;
+        metrics.forEach(m => {
+            m.locked = constraints ? !constraints.isMovable(m.book) : false;
+            m.pinned = constraints ? constraints.isPinned(m.id) : false;
+        });
+        this.markTooDeep(metrics, shelf);
+
+        // Step 1: group books into flat stacks where that saves width (or is unavoidable)
+        let stacks = this.buildStacks(metrics, clearHeight, sorted);
+        const stackedIds = new Set();
+        stacks.forEach(stack => stack.books.forEach(m => stackedIds.add(m.id)));
+
+        // Step 2: everything else stands upright
+        let uprightBooks = metrics.filter(m => !stackedIds.has(m.id));
+        const stackWidth = stacks.reduce((sum, stack) => sum + stack.length, 0);
+        const uprightWidth = uprightBooks.reduce((sum, m) => sum + m.spine, 0);
+
+        // Step 3: spend part of the width saved by stacking on face-out slots
+        const savedWidth = Math.min(currentWidth - stackWidth - uprightWidth, shelf.width - stackWidth - uprightWidth);
+        let faceOutBooks = sorted ? [] : this.selectFaceOutBooks(uprightBooks, savedWidth, clearHeight);
+        const faceOutIds = new Set(faceOutBooks.map(m => m.id));
+        uprightBooks = uprightBooks.filter(m => !faceOutIds.has(m.id));
+
+        // Step 4: a plan that needs more width than the books take now is no improvement; keep them as they stand
+        const faceOutExtra = faceOutBooks.reduce((sum, m) => sum + m.depth - m.spine, 0);
+        if (stackWidth + uprightWidth + faceOutExtra > currentWidth) {
+            ({ stacks, uprightBooks } = this.getCurrentArrangement(metrics));
+            faceOutBooks = [];
+        }
+
+        if (constraints) {
+            uprightBooks = this.orderUprightBooks(uprightBooks, shelfIndex, constraints);
+        }
+
+        const slots = this.buildSlots(uprightBooks, stacks, faceOutBooks);
+        const placements = this.positionSlots(slots, shelfX, bottomY);
+
+        const usedWidth = slots.reduce((sum, slot) => sum + slot.width, 0);
+        const freedWidth = currentWidth - usedWidth;
+
+        return {
+            shelfIndex,
+            shelf: { x: shelfX, bottomY, width: shelf.width, height: shelf.height, depth: shelf.depth },
+            slots,
+            placements,
+            currentWidth,
+            usedWidth,
+            freedWidth,
+            freedPercent: shelf.width > 0 ? Math.round((freedWidth / shelf.width) * 100) : 0,
+            fits: usedWidth <= shelf.width,
+            overflow: Math.max(0, usedWidth - shelf.width),
+            counts: {
+                upright: uprightBooks.length,
+                stacked: stackedIds.size,
+                faceOut: faceOutBooks.length,
+                stacks: stacks.length
+            }
+        };
+    }
+
+    /**
+     * Shelf width the books take as they stand now; a flat stack counts once, at its longest book
+     */
+    measureCurrentWidth(books) {
+        return measureShelfWidth(books);
+    }
+
+    getBookMetrics(book) {
+        return {
+            id: book.id,
+            x: book.x,
+            // Flat and leaning books are planned by their spine, as if standing upright
+            spine: book.spineWidth || book.width,
+            height: book.spineLength || book.height,
+            depth: this.estimateDepth(book),
+            // Only calibrated books have a cover width that can be compared with the shelf depth
+            depthMm: book.dimensionsMm ? this.estimateDepth(book) * book.dimensionsMm.height / (book.spineLength || book.height) : null,
+            book: book
+        };
+    }
+
+    /**
+     * Flag books whose cover is wider than the shelf is deep: upright or flat, they would stick out past the edge
+     */
+    markTooDeep(metrics, shelf) {
+        const shelfDepthMm = shelf.dimensionsMm ? shelf.dimensionsMm.depth :
+            shelf.depth ? this.dimensionsDB.toMillimetres(shelf.depth) : null;
+
+        metrics.forEach(m => {
+            m.tooDeep = shelfDepthMm !== null && m.depthMm !== null && m.depthMm > shelfDepthMm;
+        });
+    }
+
+    /**
+     * Estimate the cover width (front-to-back depth) of a book from its matched type
+     */
+    estimateDepth(book) {
+        const spine = book.spineWidth || book.width;
+        const height = book.spineLength || book.height;
+        const validation = book.dimensionValidation ||
+            this.dimensionsDB.validateBookDimensions(spine, height, spine);
+
+        if (validation) {
+            const type = validation.dimensions;
+            return height * (type.width.ideal / type.height.ideal);
+        }
+
+        return height / 1.5; // Typical portrait cover ratio
+    }
+
+    /**
+     * How the books stand now: detected flat stacks stay stacks (bottom book first), the rest upright
+     */
+    getCurrentArrangement(metrics) {
+        const byStack = new Map();
+        const uprightBooks = [];
+
+        metrics.forEach(m => {
+            if (m.book.orientation === 'flat' && m.book.stackId) {
+                byStack.set(m.book.stackId, [...(byStack.get(m.book.stackId) || []), m]);
+            } else {
+                uprightBooks.push(m);
+            }
+        });
+
+        const stacks = [...byStack.values()].map(books => {
+            const ordered = [...books].sort((a, b) => (a.book.stackLevel ?? 0) - (b.book.stackLevel ?? 0) || b.book.y - a.book.y);
+            return {
+                books: ordered,
+                length: Math.max(...ordered.map(m => m.height)),
+                thickness: ordered.reduce((sum, m) => sum + m.spine, 0),
+                mustLieFlat: false
+            };
+        });
+
+        return { stacks, uprightBooks };
+    }
+
+    /**
+     * A book must lie flat only when it lies flat now and would not stand with headroom;
+     * a book already standing on the shelf evidently fits there
+     */
+    mustLieFlat(m, clearHeight) {
+        return m.book.orientation === 'flat' && m.height > clearHeight;
+    }
+
+    buildStacks(metrics, clearHeight, mustLieFlatOnly = false) {
+        const stacks = [];
+        const byHeight = [...metrics].sort((a, b) => b.height - a.height);
+
+        byHeight.forEach(m => {
+            const mustLieFlat = this.mustLieFlat(m, clearHeight);
+
+            // A book lying flat must still fit under the shelf above
+            if (m.spine > clearHeight || m.locked) return;
+            // ...and unless it cannot stand, its cover must fit front to back
+            if (m.tooDeep && !mustLieFlat) return;
+            if (mustLieFlatOnly && !mustLieFlat) return;
+
+            // Books that have to lie flat stack among themselves, so their stacks take no optional books
+            const stack = stacks.find(s =>
+                s.mustLieFlat === mustLieFlat &&
+                m.height >= s.length * (1 - this.config.stackHeightTolerance) &&
+                s.thickness + m.spine <= clearHeight &&
+                s.books.length < this.config.maxStackBooks
+            );
+
+            if (stack) {
+                stack.books.push(m);
+                stack.thickness += m.spine;
+            } else {
+                stacks.push({
+                    books: [m],
+                    length: m.height,   // Largest book forms the base
+                    thickness: m.spine,
+                    mustLieFlat
+                });
+            }
+        });
+
+        // Keep stacks that are unavoidable or that free enough width
+        return stacks.filter(stack => {
+            const uprightWidth = stack.books.reduce((sum, m) => sum + m.spine, 0);
+            return stack.mustLieFlat || uprightWidth - stack.length >= this.config.minStackSaving;
+        });
+    }
+
+    selectFaceOutBooks(uprightBooks, savedWidth, clearHeight) {
+        let budget = Math.max(0, savedWidth) * this.config.faceOutSpaceShare;
+        const selected = [];
+
+        // Books too deep to stand spine-out first (facing out, only their thickness runs front to back),
+        // then the largest covers for display
+        const candidates = uprightBooks
+            .filter(m => m.height <= clearHeight && !m.locked)
+            .sort((a, b) => (b.tooDeep - a.tooDeep) || (b.depth * b.height) - (a.depth * a.height));
+
+        for (const m of candidates) {
+            if (selected.length >= this.config.maxFaceOutSlots) break;
+
+            const extraWidth = m.depth - m.spine;
+            if (extraWidth <= budget) {
+                selected.push(m);
+                budget -= extraWidth;
+            }
+        }
+
+        return selected;
+    }
+
+    /**
+     * Apply sort orders and groups to the upright row; pinned books keep their spot in it
+     */
+    orderUprightBooks(uprightBooks, shelfIndex, constraints) {
+        const byPosition = [...uprightBooks].sort((a, b) => a.x - b.x);
+        const free = byPosition.filter(m => !constraints.isPinned(m.id));
+        const ordered = constraints.orderRow(free.map(m => m.book), shelfIndex)
+            .map(book => free.find(m => m.book === book));
+
+        // Reordered books take over the row positions the free books had
+        const anchors = free.map(m => m.x);
+        return [
+            ...byPosition.filter(m => constraints.isPinned(m.id)),
+            ...ordered.map((m, i) => ({ ...m, x: anchors[i] }))
+        ];
+    }
+
+    buildSlots(uprightBooks, stacks, faceOutBooks) {
+        const items = [
+            ...uprightBooks.map(m => ({ type: 'upright', books: [m], anchorX: m.x, pinned: m.pinned })),
+            ...stacks.map(stack => ({
+                type: 'stack',
+                books: stack.books,
+                anchorX: Math.min(...stack.books.map(m => m.x)),
+                stack
+            })),
+            ...faceOutBooks.map(m => ({ type: 'faceout', books: [m], anchorX: m.x }))
+        ].sort((a, b) => a.anchorX - b.anchorX);
+
+        // Merge neighbouring upright books into runs; a pinned book is a slot of its own
+        const slots = [];
+        items.forEach(item => {
+            const last = slots[slots.length - 1];
+            if (item.type === 'upright' && !item.pinned && last && last.type === 'upright' && !last.pinned) {
+                last.books.push(item.books[0]);
+                last.width += item.books[0].spine;
+                last.height = Math.max(last.height, item.books[0].height);
+                return;
+            }
+
+            if (item.type === 'upright') {
+                slots.push({
+                    type: 'upright',
+                    books: [item.books[0]],
+                    width: item.books[0].spine,
+                    height: item.books[0].height,
+                    pinned: item.pinned
+                });
+            } else if (item.type === 'stack') {
+                slots.push({ type: 'stack', books: item.books, width: item.stack.length, height: item.stack.thickness });
+            } else {
+                slots.push({ type: 'faceout', books: item.books, width: item.books[0].depth, height: item.books[0].height });
+            }
+        });
+
+        return slots;
+    }
+
+    /**
+     * Pack slots from the left edge; pinned slots stay where their book stands and the rest flow around them
+     */
+    positionSlots(slots, shelfX, bottomY) {
+        const placements = [];
+        const pinned = slots
+            .filter(slot => slot.pinned)
+            .map(slot => ({ x: slot.books[0].x, end: slot.books[0].x + slot.width }))
+            .sort((a, b) => a.x - b.x);
+        const clearOfPinned = (x, width) => pinned.reduce((start, p) => (start < p.end && start + width > p.x ? p.end : start), x);
+        let cursor = shelfX;
+
+        slots.forEach((slot, slotIndex) => {
+            if (slot.pinned) {
+                const m = slot.books[0];
+                slot.x = m.x;
+                placements.push({
+                    bookId: m.id,
+                    slotIndex,
+                    orientation: 'upright',
+                    x: m.x,
+                    y: bottomY - m.height,
+                    width: m.spine,
+                    height: m.height,
+                    pinned: true
+                });
+                slot.bookIds = [m.id];
+                delete slot.books;
+                return;
+            }
+
+            if (slot.type === 'upright') {
+                slot.x = clearOfPinned(cursor, slot.books[0].spine);
+                slot.books.forEach(m => {
+                    const bookX = clearOfPinned(cursor, m.spine);
+                    placements.push({
+                        bookId: m.id,
+                        slotIndex,
+                        orientation: 'upright',
+                        x: bookX,
+                        y: bottomY - m.height,
+                        width: m.spine,
+                        height: m.height
+                    });
+                    cursor = bookX + m.spine;
+                });
+                slot.bookIds = slot.books.map(m => m.id);
+                delete slot.books;
+                return;
+            }
+
+            cursor = clearOfPinned(cursor, slot.width);
+            slot.x = cursor;
+
+            if (slot.type === 'stack') {
+                let level = bottomY;
+                slot.books.forEach((m, stackLevel) => {
+                    level -= m.spine;
+                    placements.push({
+                        bookId: m.id,
+                        slotIndex,
+                        orientation: 'flat',
+                        x: cursor,
+                        y: level,
+                        width: m.height,
+                        height: m.spine,
+                        stackLevel,
+                        stackOn: stackLevel > 0 ? slot.books[stackLevel - 1].id : null
+                    });
+                });
+            } else {
+                const m = slot.books[0];
+                placements.push({
+                    bookId: m.id,
+                    slotIndex,
+                    orientation: 'faceout',
+                    x: cursor,
+                    y: bottomY - m.height,
+                    width: m.depth,
+                    height: m.height
+                });
+            }
+
+            slot.bookIds = slot.books.map(m => m.id);
+            delete slot.books;
+            cursor += slot.width;
+        });
+
+        return placements;
+    }
+}
+
+export default ShelfLayoutPlanner;
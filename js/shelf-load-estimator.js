@@ -0,0 +1,138 @@
+/**
+ * Shelf Load Estimator
+ * Estimates book weights and the resulting shelf sag for a given board material and span
+ */
+
+import BookDimensionsDB from './book-dimensions-db.js';
+
+class ShelfLoadEstimator {
+    constructor(dimensionsDB = new BookDimensionsDB()) {
+        this.dimensionsDB = dimensionsDB;
+
+        this.config = {
+            defaultDensity: 0.7,        // g/cm³ when no book type matches
+            maxSagRatio: 1 / 240,       // Serviceability limit: sag up to span/240
+            warningRatio: 0.8,          // Warn above 80% of the safe load
+            gravity: 9.81
+        };
+
+        this.shelfSpec = {
+            material: 'particleboard',
+            spanMm: this.dimensionsDB.shelfSpans.standard,
+            thicknessMm: null,          // null uses the material's typical board thickness
+            depthMm: this.dimensionsDB.toMillimetres(this.dimensionsDB.shelfStandards.depth.ideal)
+        };
+    }
+
+    /**
+     * Change the board: material name from shelfMaterials, span as a shelfSpans preset or mm
+     */
+    setShelfSpec({ material, span, thicknessMm, depthMm } = {}) {
+        if (material !== undefined) {
+            if (!this.dimensionsDB.shelfMaterials[material]) {
+                throw new Error(`Unknown shelf material: ${material}`);
+            }
+            this.shelfSpec.material = material;
+        }
+
+        if (span !== undefined) {
+            this.shelfSpec.spanMm = typeof span === 'number' ? span : this.dimensionsDB.shelfSpans[span];
+            if (!this.shelfSpec.spanMm) {
+                throw new Error(`Unknown shelf span: ${span}`);
+            }
+        }
+
+        if (thicknessMm !== undefined) this.shelfSpec.thicknessMm = thicknessMm;
+        if (depthMm !== undefined) this.shelfSpec.depthMm = depthMm;
+    }
+
+    /**
+     * Book size in mm: calibrated dimensions when present, otherwise table units (1 unit ≈ 1 mm)
+     */
+    getBookSizeMm(book) {
+        // Flat and leaning books report their true spine separately from the on-screen box
+        const spineUnits = book.spineWidth || book.width;
+        const heightUnits = book.spineLength || book.height;
+        const validation = book.dimensionValidation ||
+            this.dimensionsDB.validateBookDimensions(spineUnits, heightUnits, spineUnits);
+
+        const spine = book.dimensionsMm ? book.dimensionsMm.width : this.dimensionsDB.toMillimetres(spineUnits);
+        const height = book.dimensionsMm ? book.dimensionsMm.height : this.dimensionsDB.toMillimetres(heightUnits);
+
+        // Cover width is hidden on the shelf; take it from the matched type's proportions
+        const coverRatio = validation ?
+            validation.dimensions.width.ideal / validation.dimensions.height.ideal :
+            1 / 1.5;
+
+        return { spine, height, depth: height * coverRatio, type: validation ? validation.type : null };
+    }
+
+    estimateBookWeight(book) {
+        const size = this.getBookSizeMm(book);
+        const type = size.type ? this.dimensionsDB.bookTypes[size.type] : null;
+        const density = type ? type.density : this.config.defaultDensity;
+
+        const volumeCm3 = (size.spine * size.height * size.depth) / 1000;
+        return (volumeCm3 * density) / 1000; // kg
+    }
+
+    /**
+     * Mid-span sag (mm) of a simply supported board under a uniform load; longTerm adds material creep
+     */
+    calculateDeflection(loadKg, spec = this.shelfSpec, longTerm = false) {
+        const material = this.dimensionsDB.shelfMaterials[spec.material];
+        const thickness = spec.thicknessMm || material.thickness;
+        const span = spec.spanMm;
+        const depth = spec.depthMm;
+
+        // The board's own weight sags it too
+        const boardKg = (span * depth * thickness / 1e9) * material.density;
+        const lineLoad = ((loadKg + boardKg) * this.config.gravity) / span;   // N/mm
+        const inertia = depth * Math.pow(thickness, 3) / 12;                  // mm⁴
+
+        const sag = (5 * lineLoad * Math.pow(span, 4)) / (384 * material.modulus * inertia);
+        return longTerm ? sag * material.creepFactor : sag;
+    }
+
+    getSagLimit(spec = this.shelfSpec) {
+        return spec.spanMm * this.config.maxSagRatio;
+    }
+
+    /**
+     * Book load (kg) at which sag reaches the limit
+     */
+    calculateSafeLoad(spec = this.shelfSpec) {
+        // Deflection is linear in load, so scale from the empty-board sag
+        const emptySag = this.calculateDeflection(0, spec);
+        const sagPerKg = this.calculateDeflection(1, spec) - emptySag;
+        return Math.max(0, (this.getSagLimit(spec) - emptySag) / sagPerKg);
+    }
+
+    /**
+     * Weight, sag and safety verdict for the books on one shelf
+     */
+    assessShelf(books, spec = this.shelfSpec) {
+        const weights = books.map(book => ({ bookId: book.id, kg: this.estimateBookWeight(book) }));
+        const totalKg = weights.reduce((sum, w) => sum + w.kg, 0);
+        const safeLoadKg = this.calculateSafeLoad(spec);
+        const loadRatio = safeLoadKg > 0 ? totalKg / safeLoadKg : Infinity;
+
+        let status = 'ok';
+        if (loadRatio > 1) status = 'overload';
+        else if (loadRatio > this.config.warningRatio) status = 'warning';
+
+        return {
+            totalKg,
+            safeLoadKg,
+            loadPercent: Math.round(loadRatio * 100),
+            deflectionMm: this.calculateDeflection(totalKg, spec),
+            longTermDeflectionMm: this.calculateDeflection(totalKg, spec, true),
+            sagLimitMm: this.getSagLimit(spec),
+            status,
+            weights,
+            spec: { ...spec }
+        };
+    }
+}
+
+export default ShelfLoadEstimator;
@@ -0,0 +1,187 @@
+/**
+ * Shelf Redistribution Module
+ * Recommends which books belong on which shelf across a whole bookcase
+ */
+
+import { measureShelfWidth } from './geometry.js';
+
+class ShelfRedistributor {
+    constructor() {
+        this.config = {
+            minClearance: 20,        // Headroom needed above a book to pull it out
+            overfullRatio: 0.9,      // A shelf above 90% width use is overfull
+            balanceGap: 0.25,        // Only balance when shelves differ by 25 points or more
+            maxBalanceMoves: 20
+        };
+
+        this.loadModel = null;
+    }
+
+    /**
+     * Assign every book to a shelf.
+     * books: detected books with shelfIndex; shelves: regions with shelfIndex, width and height (clear height;
+     * regions marked estimated only span their books, so their height is not checked)
+     * loadModel: optional { weightOf(book) in kg, safeLoadKg } so no shelf is planned past its safe load
+     */
+    redistribute(books, shelves, constraints = null, loadModel = null) {
+        this.loadModel = loadModel;
+
+        if (shelves.length < 2) {
+            return this.buildResult(books, shelves, []);
+        }
+
+        const assignment = new Map(books.map(book => [book.id, book.shelfIndex || 0]));
+        const moves = [];
+        const isMovable = book => !constraints || constraints.isMovable(book);
+
+        // Step 1: books too tall for their shelf go to the shortest shelf that takes them
+        books.forEach(book => {
+            const shelf = shelves.find(s => s.shelfIndex === assignment.get(book.id));
+            if (!shelf || this.fitsHeight(book, shelf) || !isMovable(book)) return;
+
+            const destination = this.findDestination(book, shelves, assignment, books, shelf.shelfIndex);
+            if (destination) {
+                assignment.set(book.id, destination.shelfIndex);
+                moves.push({ bookId: book.id, fromShelf: shelf.shelfIndex, toShelf: destination.shelfIndex, reason: 'too-tall' });
+            }
+        });
+
+        // Step 2: move the heaviest books off shelves loaded past their safe limit
+        for (let i = 0; i < this.config.maxBalanceMoves && this.loadModel; i++) {
+            const move = this.findOverloadMove(books.filter(isMovable), shelves, assignment, books);
+            if (!move) break;
+
+            assignment.set(move.bookId, move.toShelf);
+            moves.push(move);
+        }
+
+        // Step 3: relieve overfull shelves into shelves with room to spare
+        for (let i = 0; i < this.config.maxBalanceMoves; i++) {
+            const move = this.findBalanceMove(books.filter(isMovable), shelves, assignment, books);
+            if (!move) break;
+
+            assignment.set(move.bookId, move.toShelf);
+            moves.push(move);
+        }
+
+        return this.buildResult(books, shelves, moves, assignment);
+    }
+
+    fitsHeight(book, shelf) {
+        // A region derived from the books' own extent says nothing about the real clear height
+        if (shelf.estimated) return true;
+        return book.height + this.config.minClearance <= shelf.height;
+    }
+
+    getWeight(shelfIndex, books, assignment) {
+        return books
+            .filter(book => assignment.get(book.id) === shelfIndex)
+            .reduce((sum, book) => sum + this.loadModel.weightOf(book), 0);
+    }
+
+    canCarry(book, shelf, books, assignment) {
+        if (!this.loadModel) return true;
+        return this.getWeight(shelf.shelfIndex, books, assignment) + this.loadModel.weightOf(book) <= this.loadModel.safeLoadKg;
+    }
+
+    /**
+     * Width the books assigned to a shelf take up; a flat stack counts once
+     */
+    getLoad(shelfIndex, books, assignment) {
+        return measureShelfWidth(books.filter(book => assignment.get(book.id) === shelfIndex));
+    }
+
+    findDestination(book, shelves, assignment, books, excludeShelf) {
+        // Best fit: least spare headroom, so tall shelves stay free for tall books
+        return shelves
+            .filter(shelf => shelf.shelfIndex !== excludeShelf && this.fitsHeight(book, shelf))
+            .filter(shelf => this.getLoad(shelf.shelfIndex, books, new Map(assignment).set(book.id, shelf.shelfIndex)) <= shelf.width)
+            .filter(shelf => this.canCarry(book, shelf, books, assignment))
+            .sort((a, b) => a.height - b.height)[0] || null;
+    }
+
+    findOverloadMove(movableBooks, shelves, assignment, allBooks) {
+        const overloaded = shelves
+            .map(shelf => ({ shelf, kg: this.getWeight(shelf.shelfIndex, allBooks, assignment) }))
+            .filter(entry => entry.kg > this.loadModel.safeLoadKg)
+            .sort((a, b) => b.kg - a.kg)[0];
+
+        if (!overloaded) return null;
+
+        const heaviestFirst = movableBooks
+            .filter(book => assignment.get(book.id) === overloaded.shelf.shelfIndex)
+            .sort((a, b) => this.loadModel.weightOf(b) - this.loadModel.weightOf(a));
+
+        for (const book of heaviestFirst) {
+            const destination = this.findDestination(book, shelves, assignment, allBooks, overloaded.shelf.shelfIndex);
+            if (destination) {
+                return { bookId: book.id, fromShelf: overloaded.shelf.shelfIndex, toShelf: destination.shelfIndex, reason: 'overload' };
+            }
+        }
+
+        return null;
+    }
+
+    findBalanceMove(movableBooks, shelves, assignment, allBooks) {
+        const usage = shelves.map(shelf => ({
+            shelf,
+            ratio: shelf.width > 0 ? this.getLoad(shelf.shelfIndex, allBooks, assignment) / shelf.width : 1
+        })).sort((a, b) => b.ratio - a.ratio);
+
+        const fullest = usage[0];
+        if (fullest.ratio < this.config.overfullRatio) return null;
+
+        for (const target of [...usage].reverse()) {
+            if (target.shelf === fullest.shelf || fullest.ratio - target.ratio < this.config.balanceGap) continue;
+
+            // Move from the right-hand end so the moved books form one block
+            const candidates = movableBooks
+                .filter(book => assignment.get(book.id) === fullest.shelf.shelfIndex && this.fitsHeight(book, target.shelf))
+                .filter(book => this.canCarry(book, target.shelf, allBooks, assignment))
+                .sort((a, b) => b.x - a.x);
+
+            const book = candidates[0];
+            if (!book) continue;
+
+            const moved = new Map(assignment).set(book.id, target.shelf.shelfIndex);
+            const newFullest = this.getLoad(fullest.shelf.shelfIndex, allBooks, moved) / fullest.shelf.width;
+            const newTarget = this.getLoad(target.shelf.shelfIndex, allBooks, moved) / target.shelf.width;
+
+            // Skip moves that free nothing (a book from a stack that stays), and stop once a move would just swap which shelf is fuller
+            if (newFullest >= fullest.ratio || newTarget > newFullest) continue;
+
+            return { bookId: book.id, fromShelf: fullest.shelf.shelfIndex, toShelf: target.shelf.shelfIndex, reason: 'balance' };
+        }
+
+        return null;
+    }
+
+    buildResult(books, shelves, moves, assignment = null) {
+        const finalShelf = book => assignment ? assignment.get(book.id) : (book.shelfIndex || 0);
+
+        const shelfSummaries = shelves.map(shelf => {
+            const before = books.filter(book => (book.shelfIndex || 0) === shelf.shelfIndex);
+            const after = books.filter(book => finalShelf(book) === shelf.shelfIndex);
+
+            return {
+                shelfIndex: shelf.shelfIndex,
+                clearHeight: shelf.height,
+                booksBefore: before.length,
+                booksAfter: after.length,
+                utilizationBefore: shelf.width > 0 ? Math.round((measureShelfWidth(before) / shelf.width) * 100) : 0,
+                utilizationAfter: shelf.width > 0 ? Math.round((measureShelfWidth(after) / shelf.width) * 100) : 0,
+                tooTall: after.filter(book => !this.fitsHeight(book, shelf)).map(book => book.id),
+                loadKgBefore: this.loadModel ? before.reduce((sum, book) => sum + this.loadModel.weightOf(book), 0) : null,
+                loadKgAfter: this.loadModel ? after.reduce((sum, book) => sum + this.loadModel.weightOf(book), 0) : null
+            };
+        });
+
+        return {
+            moves,
+            assignments: Object.fromEntries(books.map(book => [book.id, finalShelf(book)])),
+            shelves: shelfSummaries
+        };
+    }
+}
+
+export default ShelfRedistributor;
@@ -4,43 +4,207 @@
  */
 
 import BookDimensionsDB from './book-dimensions-db.js';
+import ShelfLayoutPlanner from './shelf-layout-planner.js';
+import ShelfRedistributor from './shelf-redistributor.js';
+import AestheticLayoutEngine from './aesthetic-layout-engine.js';
+import ShelfLoadEstimator from './shelf-load-estimator.js';
 
 class SpatialOptimizer {
     constructor() {
         this.dimensionsDB = new BookDimensionsDB();
+        this.layoutPlanner = new ShelfLayoutPlanner(this.dimensionsDB);
+        this.redistributor = new ShelfRedistributor();
+        this.aestheticEngine = new AestheticLayoutEngine(this.layoutPlanner);
+        this.loadEstimator = new ShelfLoadEstimator(this.dimensionsDB);
+        this.constraints = null;
         
         this.SHELF_CONSTRAINTS = {
             maxHeight: 300,
             maxDepth: 250,
             minClearance: 20
         };
+        
+        // How much each trade-off counts towards an option's score
+        this.SCORE_WEIGHTS = {
+            space: 0.6,
+            access: 0.2,
+            visibility: 0.2
+        };
+
+        // Access and visibility effects relative to standing upright (-1 worse .. 1 better)
+        this.OPTION_EFFECTS = {
+            rotate: { access: -0.1, visibility: -0.2 },    // Lying flat: spine text turned sideways
+            stack: { access: -0.6, visibility: -0.2 },     // Lower books are trapped under others
+            faceout: { access: 0.4, visibility: 1 }        // Whole cover on show, easy to grab
+        };
+        
+        this.layoutPlanner.config.minClearance = this.SHELF_CONSTRAINTS.minClearance;
+        this.redistributor.config.minClearance = this.SHELF_CONSTRAINTS.minClearance;
     }
 
     generateOptimizationSuggestions(books, shelfDimensions) {
         const suggestions = [];
         
         books.forEach(book => {
-            const analysis = this.analyzeBookOptimization(book, shelfDimensions);
-            
-            if (analysis.canOptimize) {
-                suggestions.push({
-                    bookId: book.id,
-                    book: book,
-                    type: analysis.optimizationType,
-                    text: analysis.suggestionText,
-                    efficiency: analysis.efficiencyGain,
-                    volumeGain: analysis.volumeGain,
-                    x: book.x + book.width + 10,
-                    y: book.y + book.height / 2,
-                    stable: true,
-                    physics: analysis.physicsData
-                });
+            // Books already lying flat have been stacked by the user
+            if (book.orientation === 'flat') return;
+
+            const analysis = this.analyzeBookOptimization(this.getPhysicalDimensions(book), shelfDimensions);
+            if (!analysis.canOptimize) return;
+
+            // Every option as a suggestion; constraints may drop or flag some of them
+            const options = this.applyConstraints(analysis.alternatives.map(option => ({
+                bookId: book.id,
+                book: book,
+                type: option.type,
+                text: option.text,
+                efficiency: option.efficiencyGain,
+                volumeGain: option.volumeGain,
+                score: option.score,
+                tradeOffs: option.tradeOffs,
+                x: book.x + book.width + 10,
+                y: book.y + book.height / 2,
+                stable: true,
+                physics: option.physicsData
+            })), books);
+
+            // Options that break a constraint (kept in 'mark' mode) rank after the allowed ones
+            options.sort((a, b) => Boolean(a.blocked) - Boolean(b.blocked));
+
+            if (options.length > 0) {
+                suggestions.push({ ...options[0], alternatives: options });
             }
         });
         
         return suggestions;
     }
 
+    /**
+     * Respect user constraints (ArrangementConstraints) in suggestions and plans
+     */
+    setConstraints(constraints) {
+        this.constraints = constraints;
+    }
+
+    applyConstraints(suggestions, books) {
+        return this.constraints ? this.constraints.filterSuggestions(suggestions, books) : suggestions;
+    }
+
+    /**
+     * Use calibrated millimetre dimensions when a book carries them, otherwise its spine
+     * as if standing upright (a flat book's box is its length by its thickness)
+     */
+    getPhysicalDimensions(book) {
+        if (!book.dimensionsMm) {
+            return book.spineWidth ? { ...book, width: book.spineWidth, height: book.spineLength } : book;
+        }
+
+        return {
+            ...book,
+            width: book.dimensionsMm.width,
+            height: book.dimensionsMm.height,
+            estimatedThickness: book.dimensionsMm.thickness
+        };
+    }
+
+    /**
+     * Plan a complete target layout for every book on a shelf
+     */
+    planShelfLayout(books, shelfDimensions) {
+        const shelf = {
+            ...shelfDimensions,
+            depth: shelfDimensions.depth || this.SHELF_CONSTRAINTS.maxDepth
+        };
+        return this.withLoadAssessment(this.layoutPlanner.planShelf(books, shelf, this.constraints), books);
+    }
+
+    /**
+     * Shelf board the load estimate assumes: { material, span, thicknessMm, depthMm }
+     */
+    setShelfSpec(spec) {
+        this.loadEstimator.setShelfSpec(spec);
+    }
+
+    withLoadAssessment(layout, books) {
+        layout.load = this.loadEstimator.assessShelf(books);
+        return layout;
+    }
+
+    /**
+     * Warnings for planned shelves whose books would sag the board past its safe limit
+     */
+    generateLoadWarnings(layouts) {
+        return layouts
+            .filter(layout => layout.load && layout.load.status !== 'ok')
+            .map(layout => ({
+                bookId: null,
+                type: 'load-warning',
+                text: layout.load.status === 'overload' ?
+                    `⚠ Shelf ${layout.shelfIndex + 1} overloaded` :
+                    `⚠ Shelf ${layout.shelfIndex + 1} near safe load`,
+                efficiency: `${layout.load.totalKg.toFixed(1)}kg, sag ${layout.load.deflectionMm.toFixed(1)}mm`,
+                volumeGain: 0,
+                x: layout.shelf.x + 10,
+                y: layout.shelf.bottomY - 20,
+                stable: true,
+                physics: layout.load
+            }));
+    }
+
+    /**
+     * Plan a shelf for looks instead of space ('rainbow', 'skyline' or 'alternating')
+     */
+    planAestheticLayout(books, shelfDimensions, mode) {
+        const shelf = {
+            ...shelfDimensions,
+            depth: shelfDimensions.depth || this.SHELF_CONSTRAINTS.maxDepth
+        };
+        return this.withLoadAssessment(this.aestheticEngine.arrange(books, shelf, mode, this.constraints), books);
+    }
+
+    /**
+     * Recommend which shelf each book belongs on, using every shelf's clear height and width
+     */
+    suggestRedistribution(books, shelves) {
+        const loadModel = {
+            weightOf: book => this.loadEstimator.estimateBookWeight(book),
+            safeLoadKg: this.loadEstimator.calculateSafeLoad()
+        };
+        return this.redistributor.redistribute(books, shelves, this.constraints, loadModel);
+    }
+
+    generateRedistributionSuggestions(books, redistribution) {
+        const suggestions = [];
+
+        redistribution.moves.forEach(move => {
+            const book = books.find(b => b.id === move.bookId);
+            if (!book) return;
+
+            suggestions.push({
+                bookId: book.id,
+                book: book,
+                type: 'redistribute',
+                text: `⇅ Move to shelf ${move.toShelf + 1}`,
+                efficiency: {
+                    'too-tall': `Too tall for shelf ${move.fromShelf + 1}`,
+                    'overload': `Shelf ${move.fromShelf + 1} over safe load`,
+                    'balance': `Relieves full shelf ${move.fromShelf + 1}`
+                }[move.reason],
+                volumeGain: 0,
+                x: book.x + book.width + 10,
+                y: book.y + book.height / 2,
+                stable: true,
+                physics: move
+            });
+        });
+
+        return this.applyConstraints(suggestions, books);
+    }
+
+    /**
+     * Score every applicable option on one scale and rank them, best first.
+     * The top-level fields describe the best option; alternatives holds the full ranking.
+     */
     analyzeBookOptimization(book, shelfDimensions = null) {
         const analysis = {
             canOptimize: false,
@@ -48,51 +212,84 @@ class SpatialOptimizer {
             suggestionText: '',
             efficiencyGain: 0,
             volumeGain: 0,
-            physicsData: {}
+            physicsData: {},
+            alternatives: []
         };
 
-        // Calculate current volume usage
-        const currentVolume = book.width * book.height * book.estimatedThickness;
-        
-        // Check rotation optimization
         const rotationAnalysis = this.analyzeRotation(book);
         if (rotationAnalysis.beneficial) {
-            analysis.canOptimize = true;
-            analysis.optimizationType = 'rotate';
-            analysis.suggestionText = '↻ Rotate horizontally';
-            analysis.efficiencyGain = rotationAnalysis.spaceGain;
-            analysis.volumeGain = rotationAnalysis.volumeGain;
-            analysis.physicsData = rotationAnalysis;
-            return analysis;
+            analysis.alternatives.push(this.scoreOption({
+                type: 'rotate',
+                text: '↻ Rotate horizontally',
+                efficiencyGain: rotationAnalysis.spaceGain,
+                volumeGain: rotationAnalysis.volumeGain,
+                space: rotationAnalysis.spaceGain / 100,
+                physicsData: rotationAnalysis
+            }));
         }
 
-        // Check stacking optimization
         const stackingAnalysis = this.analyzeStacking(book);
         if (stackingAnalysis.beneficial) {
-            analysis.canOptimize = true;
-            analysis.optimizationType = 'stack';
-            analysis.suggestionText = '⚏ Stack horizontally';
-            analysis.efficiencyGain = stackingAnalysis.spaceGain;
-            analysis.volumeGain = stackingAnalysis.volumeGain;
-            analysis.physicsData = stackingAnalysis;
-            return analysis;
+            analysis.alternatives.push(this.scoreOption({
+                type: 'stack',
+                text: '⚏ Stack horizontally',
+                efficiencyGain: stackingAnalysis.spaceGain,
+                volumeGain: stackingAnalysis.volumeGain,
+                space: stackingAnalysis.spaceGain / 100,
+                physicsData: stackingAnalysis
+            }));
         }
 
-        // Check face-out optimization
         const faceOutAnalysis = this.analyzeFaceOut(book);
         if (faceOutAnalysis.beneficial) {
+            analysis.alternatives.push(this.scoreOption({
+                type: 'faceout',
+                text: '↔ Face out',
+                efficiencyGain: faceOutAnalysis.visibilityGain,
+                volumeGain: faceOutAnalysis.volumeGain,
+                // Negative volume gain: the cover takes more shelf than the spine did
+                space: book.width > 0 ? faceOutAnalysis.volumeGain / book.width : 0,
+                physicsData: faceOutAnalysis
+            }));
+        }
+
+        analysis.alternatives.sort((a, b) => b.score - a.score);
+
+        const best = analysis.alternatives[0];
+        if (best) {
             analysis.canOptimize = true;
-            analysis.optimizationType = 'faceout';
-            analysis.suggestionText = '↔ Face out';
-            analysis.efficiencyGain = faceOutAnalysis.visibilityGain;
-            analysis.volumeGain = faceOutAnalysis.volumeGain;
-            analysis.physicsData = faceOutAnalysis;
-            return analysis;
+            analysis.optimizationType = best.type;
+            analysis.suggestionText = best.text;
+            analysis.efficiencyGain = best.efficiencyGain;
+            analysis.volumeGain = best.volumeGain;
+            analysis.physicsData = best.physicsData;
         }
 
         return analysis;
     }
 
+    /**
+     * Common score for an option: weighted space, access and visibility trade-offs, each -1..1
+     */
+    scoreOption(option) {
+        const clamp = value => Math.max(-1, Math.min(1, value));
+        const effects = this.OPTION_EFFECTS[option.type];
+
+        const tradeOffs = {
+            space: clamp(option.space),
+            access: effects.access,
+            visibility: effects.visibility
+        };
+
+        const weights = this.SCORE_WEIGHTS;
+        const score = tradeOffs.space * weights.space +
+            tradeOffs.access * weights.access +
+            tradeOffs.visibility * weights.visibility;
+
+        const { space, ...rest } = option;
+        return { ...rest, tradeOffs, score: Math.round(score * 100) };
+    }
+
     analyzeRotation(book) {
         const analysis = {
             beneficial: false,
@@ -182,7 +379,7 @@ class SpatialOptimizer {
     }
 
     calculateShelfUtilization(books, shelfWidth, shelfHeight) {
-        const totalBookWidth = books.reduce((sum, book) => sum + book.width, 0);
+        const totalBookWidth = this.layoutPlanner.measureCurrentWidth(books);
         const totalBookVolume = books.reduce((sum, book) => 
             sum + (book.width * book.height * book.estimatedThickness), 0);
         
@@ -200,7 +397,7 @@ class SpatialOptimizer {
     calculatePotentialGain(books) {
         let totalGain = 0;
         
-        books.forEach(book => {
+        books.filter(book => book.orientation !== 'flat').forEach(book => {
             const rotationGain = this.analyzeRotation(book).volumeGain || 0;
             const stackingGain = this.analyzeStacking(book).volumeGain || 0;
             totalGain += Math.max(rotationGain, stackingGain);
@@ -0,0 +1,55 @@
+/**
+ * Book Tracker tests
+ * Run with: node --test tests/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import BookTracker from '../js/book-tracker.js';
+
+const FRAME_MS = 100;
+
+function shelfRow(offsetX, width = 40) {
+    return Array.from({ length: 5 }, (_, i) => ({
+        id: `d${i}`,
+        x: 10 + i * (width + 2) + offsetX,
+        y: 50,
+        width,
+        height: 160,
+        confidence: 0.9
+    }));
+}
+
+const idsByPosition = books => [...books].sort((a, b) => a.x - b.x).map(book => book.id);
+
+test('ids survive a reuse gap after a slow pan', () => {
+    const tracker = new BookTracker();
+    let time = 0;
+    let books = [];
+    for (let frame = 0; frame < 10; frame++) {
+        time += FRAME_MS;
+        books = tracker.update(shelfRow(frame * 3), time);
+    }
+    const before = idsByPosition(books);
+
+    // The camera stops; reused frames hold the tracks for three seconds
+    for (let frame = 0; frame < 30; frame++) {
+        time += FRAME_MS;
+        tracker.hold(time);
+    }
+
+    time += FRAME_MS;
+    const after = tracker.update(shelfRow(27), time);
+    assert.deepEqual(idsByPosition(after), before);
+    assert.equal(tracker.tracks.length, 5);
+});
+
+test('a steady pan keeps one track per book', () => {
+    const tracker = new BookTracker();
+    let books = [];
+    for (let frame = 0; frame < 20; frame++) {
+        books = tracker.update(shelfRow(frame * 15, 30), (frame + 1) * FRAME_MS);
+    }
+    assert.equal(tracker.nextId - 1, 5);
+    assert.equal(books.length, 5);
+});
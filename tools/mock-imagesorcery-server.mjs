@@ -0,0 +1,334 @@
+/**
+ * Mock ImageSorcery MCP Server
+ * Local stand-in for development: serves the app and answers MCP JSON-RPC on /mcp
+ *
+ * Usage: node tools/mock-imagesorcery-server.mjs [--port 8080] [--format mixed|bbox|xy|bounds|edges]
+ *        [--fail none|timeout|500|malformed|tool-error] [--fail-rate 1] [--script detections.json] [--sse]
+ *
+ * Failure mode can also be switched while running:
+ *   curl -X POST localhost:8080/__mock/config -d '{"fail":"timeout","failRate":0.5}'
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.jpg': 'image/jpeg',
+    '.png': 'image/png'
+};
+
+const FORMATS = ['bbox', 'xy', 'bounds', 'edges'];
+
+const TOOLS = [
+    {
+        name: 'detect',
+        description: 'Detect objects in an image',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                image: { type: 'string', description: 'Image as a data URL' },
+                confidence: { type: 'number' },
+                objects: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['image']
+        }
+    },
+    {
+        name: 'process_image',
+        description: 'Apply contrast and denoise operations to an image',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                image: { type: 'string', description: 'Image as a data URL' },
+                operations: { type: 'array', items: { type: 'object' } }
+            },
+            required: ['image', 'operations']
+        }
+    }
+];
+
+function parseArgs(argv) {
+    const options = {
+        port: 8080,
+        format: 'mixed',
+        fail: 'none',
+        failRate: 1,
+        timeoutMs: 15000,
+        script: null,
+        sse: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+        if (arg === '--port') options.port = Number(next());
+        else if (arg === '--format') options.format = next();
+        else if (arg === '--fail') options.fail = next();
+        else if (arg === '--fail-rate') options.failRate = Number(next());
+        else if (arg === '--timeout-ms') options.timeoutMs = Number(next());
+        else if (arg === '--script') options.script = next();
+        else if (arg === '--sse') options.sse = true;
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+
+    return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const scripted = options.script ? JSON.parse(fs.readFileSync(options.script, 'utf8')) : null;
+let sessionCounter = 0;
+
+/**
+ * Width and height from a JPEG or PNG data URL, without decoding pixels.
+ * No data URL gives null; one that is truncated or neither format throws.
+ */
+function readImageSize(dataUrl) {
+    const match = /^data:image\/\w+;base64,(.*)$/.exec(dataUrl || '');
+    if (!match) return null;
+    const bytes = Buffer.from(match[1], 'base64');
+    const unreadable = new Error(`Unreadable image (${bytes.length} bytes): expected a PNG or JPEG`);
+
+    // PNG: IHDR holds the size at a fixed offset
+    if (bytes.length >= 24 && bytes.readUInt32BE(0) === 0x89504e47) {
+        return { width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20), bytes };
+    }
+    if (bytes.length < 4 || bytes[0] !== 0xff || bytes[1] !== 0xd8) throw unreadable;
+
+    // JPEG: walk the markers to the first start-of-frame
+    let offset = 2;
+    while (offset < bytes.length - 9) {
+        if (bytes[offset] !== 0xff) throw unreadable;
+        const marker = bytes[offset + 1];
+        const length = bytes.readUInt16BE(offset + 2);
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return { width: bytes.readUInt16BE(offset + 7), height: bytes.readUInt16BE(offset + 5), bytes };
+        }
+        offset += 2 + length;
+    }
+    throw unreadable;
+}
+
+/**
+ * Deterministic spine boxes for an image: a row of books per shelf, varied by the image bytes
+ */
+function deriveDetections(image) {
+    const width = image ? image.width : 1280;
+    const height = image ? image.height : 720;
+    let seed = image ? image.bytes.length : 1;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+
+    const detections = [];
+    const shelves = 2;
+    const shelfHeight = height / shelves;
+
+    for (let shelf = 0; shelf < shelves; shelf++) {
+        let x = width * 0.05;
+        while (x < width * 0.9) {
+            const spine = 20 + random() * 40;
+            const bookHeight = shelfHeight * (0.6 + random() * 0.3);
+            detections.push({
+                label: 'book',
+                confidence: 0.55 + random() * 0.4,
+                x: Math.round(x),
+                y: Math.round(shelf * shelfHeight + shelfHeight - bookHeight - 10),
+                width: Math.round(spine),
+                height: Math.round(bookHeight)
+            });
+            x += spine + 2 + random() * 6;
+        }
+    }
+
+    return detections;
+}
+
+/**
+ * Re-express a box in one of the coordinate formats MCPBookDetection.normalizeDetectionCoordinates reads
+ */
+function formatDetection(detection, index) {
+    const format = options.format === 'mixed' ? FORMATS[index % FORMATS.length] : options.format;
+    const { x, y, width, height, ...rest } = detection;
+
+    if (format === 'bbox') return { ...rest, bbox: [x, y, width, height] };
+    if (format === 'bounds') return { ...rest, bounds: { left: x, top: y, right: x + width, bottom: y + height } };
+    if (format === 'edges') return { ...rest, left: x, top: y, right: x + width, bottom: y + height };
+    return { ...rest, x, y, width, height };
+}
+
+function shouldFail() {
+    return options.fail !== 'none' && Math.random() < options.failRate;
+}
+
+function callTool(name, args) {
+    if (name === 'detect') {
+        const detections = (scripted || deriveDetections(readImageSize(args.image))).map(formatDetection);
+        return { content: [{ type: 'text', text: JSON.stringify({ detections }) }] };
+    }
+
+    if (name === 'process_image') {
+        // No pixel work here: pixel filters pass the image through, geometry is left to the client
+        const geometric = (args.operations || []).filter(op => ['perspective', 'crop'].includes(op.type));
+        if (geometric.length > 0) {
+            return { isError: true, content: [{ type: 'text', text: `Mock cannot apply ${geometric.map(op => op.type).join(', ')}` }] };
+        }
+        return { content: [{ type: 'text', text: JSON.stringify({ image: args.image }) }] };
+    }
+
+    return null;
+}
+
+function handleRpc(message) {
+    const { id, method, params = {} } = message;
+
+    if (method === 'initialize') {
+        return {
+            result: {
+                protocolVersion: params.protocolVersion || '2025-03-26',
+                capabilities: { tools: {} },
+                serverInfo: { name: 'mock-imagesorcery', version: '0.1.0' }
+            }
+        };
+    }
+    if (method === 'ping') return { result: {} };
+    if (method === 'tools/list') return { result: { tools: TOOLS } };
+
+    if (method === 'tools/call') {
+        if (options.fail === 'tool-error' && shouldFail()) {
+            return { result: { isError: true, content: [{ type: 'text', text: 'Simulated tool failure' }] } };
+        }
+        let result;
+        try {
+            result = callTool(params.name, params.arguments || {});
+        } catch (error) {
+            // Bad arguments (e.g. an unreadable image) are the caller's fault, not a server crash
+            return { error: { code: -32602, message: error.message } };
+        }
+        return result ?
+            { result } :
+            { error: { code: -32602, message: `Unknown tool: ${params.name}` } };
+    }
+
+    return id === undefined ? null : { error: { code: -32601, message: `Method not found: ${method}` } };
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+async function handleMcp(req, res) {
+    if (req.method !== 'POST') {
+        res.writeHead(405, { Allow: 'POST' });
+        return res.end();
+    }
+
+    const body = await readBody(req);
+    let message;
+    try {
+        message = JSON.parse(body);
+    } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }));
+    }
+
+    // Transport-level failure modes apply to requests only; notifications always succeed
+    if (message.id !== undefined && shouldFail()) {
+        if (options.fail === 'timeout') {
+            setTimeout(() => res.destroy(), options.timeoutMs);
+            return;
+        }
+        if (options.fail === '500') {
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            return res.end('Simulated server error');
+        }
+        if (options.fail === 'malformed') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            return res.end('{"jsonrpc": "2.0", "id": ' + message.id + ', "result": {');
+        }
+    }
+
+    const headers = {};
+    if (message.method === 'initialize') {
+        headers['Mcp-Session-Id'] = `mock-session-${++sessionCounter}`;
+    }
+
+    const reply = handleRpc(message);
+    if (!reply) {
+        res.writeHead(202, headers);
+        return res.end();
+    }
+
+    const payload = JSON.stringify({ jsonrpc: '2.0', id: message.id, ...reply });
+    if (options.sse) {
+        res.writeHead(200, { ...headers, 'Content-Type': 'text/event-stream' });
+        res.end(`event: message\ndata: ${payload}\n\n`);
+    } else {
+        res.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+        res.end(payload);
+    }
+}
+
+async function handleConfig(req, res) {
+    if (req.method === 'POST') {
+        const update = JSON.parse((await readBody(req)) || '{}');
+        ['fail', 'failRate', 'format', 'timeoutMs', 'sse'].forEach(key => {
+            if (update[key] !== undefined) options[key] = update[key];
+        });
+        console.log('🧪 Mock config:', options);
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(options));
+}
+
+function serveStatic(req, res) {
+    const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const filePath = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+
+    if (!filePath.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        return res.end();
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404);
+            return res.end('Not found');
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+
+    const handler = pathname === '/mcp' ? handleMcp :
+        pathname === '/__mock/config' ? handleConfig :
+        serveStatic;
+
+    Promise.resolve(handler(req, res)).catch(error => {
+        console.error('❌ Mock server error:', error);
+        if (!res.headersSent) res.writeHead(500);
+        res.end();
+    });
+});
+
+server.listen(options.port, () => {
+    console.log(`📚 Mock ImageSorcery MCP server on http://localhost:${options.port} (format: ${options.format}, fail: ${options.fail})`);
+});